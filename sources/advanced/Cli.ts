@@ -1,13 +1,22 @@
-import {Readable, Writable}                                     from 'stream';
-
-import {HELP_COMMAND_INDEX}                                     from '../constants';
-import {CliBuilder, CommandBuilder}                             from '../core';
-import {ErrorMeta}                                              from '../errors';
-import {formatMarkdownish, ColorFormat, richFormat, textFormat} from '../format';
-
-import {CommandClass, Command, Definition}                      from './Command';
-import {HelpCommand}                                            from './HelpCommand';
-import {CommandOption}                                          from './options/utils';
+import readline                                                                                                       from 'readline';
+import {Readable, Writable}                                                                                           from 'stream';
+
+import {HELP_COMMAND_INDEX}                                                                                           from '../constants';
+import {CliBuilder, CommandBuilder, getConstraintViolation, MissingValues, OptDefinition}                             from '../core';
+import {ConfigError, ErrorMeta, getErrorReport, getExitCode, UnknownSyntaxError, UsageError}                          from '../errors';
+import {DEFAULT_COLUMNS, formatMarkdownish, getColorDepth, wrapText, ColorFormat, ColorTheme, richFormat, textFormat} from '../format';
+import {tokenize}                                                                                                     from '../tokenize';
+
+import {CommandClass, Command, Definition}                                                                            from './Command';
+import {ConfigResult, ConfigSource}                                                                                   from './Config';
+import {HelpCommand}                                                                                                  from './HelpCommand';
+import {generateManpages, Manpage}                                                                                    from './Manpage';
+import {generateMarkdown, MarkdownPage, writeMarkdown}                                                                from './Markdown';
+import {applyMiddlewares, Middleware}                                                                                 from './Middleware';
+import {isInteractive, Prompter}                                                                                      from './Prompt';
+import {expandResponseFiles, withOriginalInput}                                                                       from './ResponseFile';
+import {generateSchema}                                                                                               from './Schema';
+import {CommandOption, JsonSchema, OptionSource, optionSourcesSymbol}                                                 from './options/utils';
 
 const errorCommandSymbol = Symbol(`clipanion/errorCommand`);
 
@@ -40,6 +49,31 @@ export type BaseContext = {
    * process.stderr
    */
   stderr: Writable;
+
+  /**
+   * The environment variables used as fallbacks by the options.
+   *
+   * @default
+   * process.env
+   */
+  env?: Record<string, string | undefined>;
+
+  /**
+   * The directory from which the configuration is searched, and against
+   * which the response files are resolved.
+   *
+   * @default
+   * process.cwd()
+   */
+  cwd?: string;
+
+  /**
+   * Aborted when the CLI is asked to stop. `Cli#runExit` aborts it when the
+   * process receives SIGINT or SIGTERM, so that long-running commands can
+   * clean up before exiting. Only set by `Cli#runExit` when `AbortController`
+   * is available (Node 15+), unless provided by the caller.
+   */
+  signal?: AbortSignal;
 };
 
 export type CliContext<Context extends BaseContext> = {
@@ -68,37 +102,184 @@ export type CliOptions = Readonly<{
    */
   binaryVersion?: string,
 
+  /**
+   * The width of the help and error messages. If not set, the `COLUMNS`
+   * environment variable is used, then the width of the output stream.
+   *
+   * @default
+   * 80
+   */
+  columns?: number,
+
   /**
    * If `true`, the Cli will use colors in the output.
    *
    * @default
-   * process.env.FORCE_COLOR ?? process.stdout.isTTY
+   * getColorDepth() > 1
    */
   enableColors: boolean,
+
+  /**
+   * Overrides the styles used when the colors are enabled (for example
+   * `{header: str => chalk.magenta(str)}`).
+   */
+  theme?: ColorTheme,
+
+  /**
+   * If `true`, unambiguous prefixes of long options and command paths will
+   * be accepted (for example `--frozen` for `--frozen-lockfile`).
+   *
+   * @default
+   * false
+   */
+  enableAbbreviations?: boolean,
+
+  /**
+   * The stream the errors are written to. Set it to `stdout` to restore the
+   * behavior of the previous versions.
+   *
+   * @default
+   * `stderr`
+   */
+  errorStream?: `stdout` | `stderr`,
+
+  /**
+   * The format of the errors. In `json` mode, each error is printed as a
+   * single line JSON object (see `ErrorReport`), which is easier to consume
+   * by other tools. Can also be set for a single invocation by passing the
+   * `--clipanion-errors=json` flag.
+   *
+   * @default
+   * `text`
+   */
+  errorFormat?: ErrorFormat,
+
+  /**
+   * If `true`, the Cli will interactively ask for the values of the required
+   * options and positionals missing from the command line. The prompts only
+   * fire when the input stream is a TTY.
+   *
+   * @default
+   * false
+   */
+  enablePrompts?: boolean,
+
+  /**
+   * If `true`, the `@path` arguments will be replaced by the arguments listed
+   * in the corresponding files (see `Cli#process`).
+   *
+   * @default
+   * false
+   */
+  enableResponseFiles?: boolean,
+
+  /**
+   * If set, options without an explicit `env` setting will fallback to the
+   * environment variable made of this prefix followed by their longest name
+   * (for example `MY_CLI_` + `--dry-run` ► `MY_CLI_DRY_RUN`).
+   */
+  envPrefix?: string,
+
+  /**
+   * If set, options will fallback to the values returned by this source
+   * (see `Config.search`) when they aren't set on the command line nor in
+   * the environment.
+   */
+  config?: ConfigSource,
 }>;
 
+export type ErrorFormat = `text` | `json`;
+
+export type ReplOptions = {
+  /**
+   * The string displayed when waiting for a command. Defaults to the binary
+   * name followed by `> `.
+   */
+  prompt?: string,
+
+  /**
+   * The lines entered during the previous sessions, oldest first. The new
+   * lines are appended to it, so that it can be persisted once the session
+   * ends.
+   */
+  history?: Array<string>,
+
+  /**
+   * The maximum number of lines kept in the history.
+   *
+   * @default
+   * 100
+   */
+  historySize?: number,
+};
+
 export type MiniCli<Context extends BaseContext> = CliOptions & {
+  /**
+   * Returns the tokens that could replace the last word of the input.
+   *
+   * @param input An array containing the arguments of the command line, the last one being the (possibly empty) word to complete
+   */
+  complete(input: Array<string>): Promise<Array<string>>;
+
   /**
    * Returns an Array representing the definitions of all registered commands.
    */
   definitions(): Array<Definition>;
 
+  /**
+   * Returns the manual pages of all registered commands, along with an
+   * index page named after the binary.
+   *
+   * @param opts.section The manual section of the pages. Defaults to `1`.
+   * @param opts.date The date displayed in the footer of the pages.
+   */
+  manpages(opts?: {section?: string, date?: string}): Array<Manpage>;
+
+  /**
+   * Returns the Markdown documentation of all registered commands, along
+   * with an index page.
+   */
+  markdown(): Array<MarkdownPage>;
+
+  /**
+   * Writes the Markdown documentation of all registered commands into the
+   * given directory, and returns the paths of the written files.
+   */
+  writeMarkdown(outputDir: string): Array<string>;
+
+  /**
+   * Returns the JSON Schemas describing the options and positionals of all
+   * registered commands.
+   */
+  schemas(): Array<JsonSchema>;
+
   /**
    * Formats errors using colors.
    *
    * @param error The error to format. If `error.name` is `'Error'`, it is replaced with `'Internal Error'`.
    * @param opts.command The command whose usage will be included in the formatted error.
+   * @param opts.cwd The directory from which the configuration aliases listed in the usage are searched. Defaults to the one of the context.
    */
-  error(error: Error, opts?: {command?: Command<Context> | null}): string;
+  error(error: Error, opts?: {command?: Command<Context> | null, columns?: number, errorFormat?: ErrorFormat, input?: Array<string>, cwd?: string}): string;
 
   /**
    * Compiles a command and its arguments using the `CommandBuilder`.
    *
    * @param input An array containing the name of the command and its arguments
    *
+   * @param context Overrides the Context of the main `Cli` instance
+   *
    * @returns The compiled `Command`, with its properties populated with the arguments.
    */
-  process(input: Array<string>): Command<Context>;
+  process(input: Array<string>, context?: Partial<Context>): Command<Context>;
+
+  /**
+   * Same as `process`, but splits the command line into arguments first
+   * (see `tokenize`).
+   *
+   * @param input The command line, such as `install --flag "a b"`
+   */
+  processString(input: string, context?: Partial<Context>): Command<Context>;
 
   /**
    * Runs a command.
@@ -110,26 +291,199 @@ export type MiniCli<Context extends BaseContext> = CliOptions & {
    */
   run(input: Array<string>, context?: Partial<Context>): Promise<number>;
 
+  /**
+   * Same as `run`, but splits the command line into arguments first (see
+   * `tokenize`).
+   *
+   * @param input The command line, such as `install --flag "a b"`
+   */
+  runString(input: string, context?: Partial<Context>): Promise<number>;
+
   /**
    * Returns the usage of a command.
    *
    * @param command The `Command` whose usage will be returned or `null` to return the usage of all commands.
    * @param opts.detailed If `true`, the usage of a command will also include its description, details, and examples. Doesn't have any effect if `command` is `null` or doesn't have a `usage` property.
    * @param opts.prefix The prefix displayed before each command. Defaults to `$`.
+   * @param opts.columns The width of the output. Defaults to the width of the output stream.
+   * @param opts.cwd The directory from which the configuration aliases are searched. Defaults to the one of the context.
    */
-  usage(command?: CommandClass<Context> | Command<Context> | null, opts?: {detailed?: boolean, prefix?: string}): string;
+  usage(command?: CommandClass<Context> | Command<Context> | null, opts?: {detailed?: boolean, prefix?: string, columns?: number, cwd?: string}): string;
 };
 
-function getDefaultColorSettings() {
-  if (process.env.FORCE_COLOR === `0`)
-    return false;
-  if (process.env.FORCE_COLOR === `1`)
-    return true;
+/**
+ * Highlights the positional placeholders (`<name>`, `[name]`, `...`, and
+ * `<count (>=1)>` for the ranged ones) of a usage line. The first segment is always the binary name, and the options
+ * are left untouched.
+ */
+function formatUsageLine(usage: string, format: ColorFormat) {
+  return usage.replace(/(?<= )(<[^<>\s-](?:[^<>(]|\([^)]*\))*>|\[[^[\]\s-][^[\]]*\]|\.\.\.)(?= |$)/g, $0 => format.positional($0));
+}
+
+/**
+ * Removes the `--clipanion-errors` flags from the front of the input. Like
+ * the other `--clipanion=` flags, they aren't recognized anywhere else, so
+ * they can't be mistaken for the arguments of a command.
+ */
+function extractErrorFormat(input: Array<string>) {
+  let errorFormat: ErrorFormat | undefined;
+  let start = 0;
+
+  for (; start < input.length; ++start) {
+    const match = input[start].match(/^--clipanion-errors=(text|json)$/);
+    if (match === null)
+      break;
+
+    errorFormat = match[1] as ErrorFormat;
+  }
+
+  return {input: start > 0 ? input.slice(start) : input, errorFormat};
+}
+
+/**
+ * Reads the aliases from the `aliases` key of the configuration, which maps
+ * their names to either a command line or a list of arguments.
+ */
+function getConfigAliases(config: ConfigResult | null) {
+  const aliases = new Map<string, Array<string>>();
+
+  const values = config?.values.aliases;
+  if (typeof values === `undefined`)
+    return aliases;
+
+  if (typeof values !== `object` || values === null || Array.isArray(values))
+    throw new ConfigError(config!.path, `Expected the "aliases" key to be an object`);
+
+  for (const [name, value] of Object.entries(values)) {
+    if (typeof value === `string`) {
+      try {
+        aliases.set(name, tokenize(value));
+      } catch (error) {
+        throw new ConfigError(config!.path, `Invalid "${name}" alias: ${error.message}`);
+      }
+    } else if (Array.isArray(value) && value.every(token => typeof token === `string`)) {
+      aliases.set(name, value);
+    } else {
+      throw new ConfigError(config!.path, `Expected the "${name}" alias to be a string or a list of strings`);
+    }
+  }
+
+  return aliases;
+}
+
+/**
+ * Replaces the first argument by the arguments it stands for, as long as it
+ * is an alias. Each alias is only expanded once, to avoid infinite loops.
+ */
+function expandAliases(input: Array<string>, aliases: Map<string, Array<string>>) {
+  const expandedAliases = new Set<string>();
+
+  while (input.length > 0 && aliases.has(input[0]) && !expandedAliases.has(input[0])) {
+    expandedAliases.add(input[0]);
+    input = [...aliases.get(input[0])!, ...input.slice(1)];
+  }
+
+  return input;
+}
+
+function formatArgv(argv: Array<string>) {
+  return argv.map(token => token.match(/\s/) || token === `` ? JSON.stringify(token) : token).join(` `);
+}
+
+/**
+ * Returns the required values a command may omit from the command line,
+ * which are the options set through the environment or the configuration,
+ * and the values the user can be prompted for.
+ */
+function getMissingValues(specs: Map<string, CommandOption<unknown>>, {allowPrompts, env, getConfig}: {allowPrompts: boolean, env: Record<string, string | undefined>, getConfig: () => ConfigResult | null}): MissingValues {
+  const promptableNames = new Set<string>();
+  let positionals = allowPrompts;
+
+  for (const [key, {schema, prompt}] of specs) {
+    const optionSchema = schema?.(key);
+    const canPrompt = allowPrompts && typeof prompt !== `undefined` && prompt(key) !== null;
+
+    if (optionSchema?.kind === `option`) {
+      if (canPrompt) {
+        promptableNames.add(optionSchema.names![0]);
+      }
+    } else if (typeof optionSchema === `undefined` || optionSchema.required) {
+      // The leading positionals can only be omitted all at once
+      if (!canPrompt) {
+        positionals = false;
+      }
+    }
+  }
+
+  // Empty variables are treated as if they weren't set at all, like in the transformers
+  const hasFallback = (option: OptDefinition) =>
+    (typeof option.env !== `undefined` && !!env[option.env]) ||
+    (typeof option.config !== `undefined` && typeof getConfig()?.values[option.config] !== `undefined`);
+
+  return {
+    options: option => promptableNames.has(option.names[0]) || hasFallback(option),
+    positionals,
+  };
+}
+
+/**
+ * Returns the options whose values come from the environment or the
+ * configuration, so that they count as set when checking the constraints.
+ */
+function getFallbackOptions(command: Command<any>, specs: Map<string, CommandOption<unknown>>) {
+  const fallbacks: Array<{name: string, value: any}> = [];
+
+  for (const [key, {schema}] of specs) {
+    const source = command[optionSourcesSymbol].get(key);
+    const optionSchema = schema?.(key);
+
+    if ((source?.type === `env` || source?.type === `config`) && optionSchema?.kind === `option`) {
+      fallbacks.push({name: optionSchema.names![0], value: (command as any)[key]});
+    }
+  }
+
+  return fallbacks;
+}
+
+/**
+ * Throws if one of the required values of the command is still missing,
+ * for example because the user couldn't be prompted for it.
+ */
+function assertRequiredValues(command: Command<any>, specs: Map<string, CommandOption<unknown>>) {
+  for (const [key, {schema}] of specs) {
+    const optionSchema = schema?.(key);
+    if (optionSchema?.required !== true || command[optionSourcesSymbol].has(key))
+      continue;
+
+    if (optionSchema.kind === `option`) {
+      const longestName = optionSchema.names!.reduce((longestName, name) => {
+        return name.length > longestName.length ? name : longestName;
+      }, ``);
+
+      throw new UsageError(`Missing required option ${longestName}`);
+    } else {
+      throw new UsageError(`Not enough positional arguments`);
+    }
+  }
+}
 
-  if (typeof process.stdout !== `undefined` && process.stdout.isTTY)
-    return true;
+/**
+ * The commands handled by the REPL itself rather than by the registered
+ * commands.
+ */
+const REPL_BUILTINS = [`exit`, `help`, `history`];
 
-  return false;
+/**
+ * The signals handled by `Cli#runExit`, along with their numbers (used to
+ * compute the exit code, following the 128+n convention of the shells).
+ */
+const EXIT_SIGNALS = {
+  SIGINT: 2,
+  SIGTERM: 15,
+};
+
+function getDefaultColorSettings() {
+  return getColorDepth() > 1;
 }
 
 /**
@@ -145,6 +499,7 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
     stdin: process.stdin,
     stdout: process.stdout,
     stderr: process.stderr,
+    env: process.env,
   };
 
   private readonly builder: CliBuilder<CliContext<Context>>;
@@ -155,11 +510,24 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
     specs: Map<string, CommandOption<unknown>>,
   }> = new Map();
 
+  protected readonly middlewares: Array<Middleware<Context>> = [];
+
+  protected readonly aliases: Map<string, Array<string>> = new Map();
+
   public readonly binaryLabel?: string;
   public readonly binaryName: string;
   public readonly binaryVersion?: string;
 
+  public readonly columns?: number;
   public readonly enableColors: boolean;
+  public readonly theme?: ColorTheme;
+  public readonly enableAbbreviations: boolean;
+  public readonly errorStream: `stdout` | `stderr`;
+  public readonly errorFormat: ErrorFormat;
+  public readonly enablePrompts: boolean;
+  public readonly enableResponseFiles: boolean;
+  public readonly envPrefix?: string;
+  public readonly config?: ConfigSource;
 
   /**
    * Creates a new Cli and registers all commands passed as parameters.
@@ -176,14 +544,23 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
     return cli;
   }
 
-  constructor({binaryLabel, binaryName: binaryNameOpt = `...`, binaryVersion, enableColors = getDefaultColorSettings()}: Partial<CliOptions> = {}) {
-    this.builder = new CliBuilder({binaryName: binaryNameOpt});
+  constructor({binaryLabel, binaryName: binaryNameOpt = `...`, binaryVersion, columns, enableColors = getDefaultColorSettings(), theme, enableAbbreviations = false, errorStream = `stderr`, errorFormat = `text`, enablePrompts = false, enableResponseFiles = false, envPrefix, config}: Partial<CliOptions> = {}) {
+    this.builder = new CliBuilder({binaryName: binaryNameOpt, enableAbbreviations, envPrefix});
 
     this.binaryLabel = binaryLabel;
     this.binaryName = binaryNameOpt;
     this.binaryVersion = binaryVersion;
 
+    this.columns = columns;
     this.enableColors = enableColors;
+    this.theme = theme;
+    this.enableAbbreviations = enableAbbreviations;
+    this.errorStream = errorStream;
+    this.errorFormat = errorFormat;
+    this.enablePrompts = enablePrompts;
+    this.enableResponseFiles = enableResponseFiles;
+    this.envPrefix = envPrefix;
+    this.config = config;
   }
 
   /**
@@ -204,23 +581,162 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
     const index = builder.cliIndex;
 
     const paths = commandClass.paths ?? command.paths;
-    if (typeof paths !== `undefined`)
-      for (const path of paths)
+    if (typeof paths !== `undefined`) {
+      for (const path of paths) {
+        if (path.length > 0 && this.aliases.has(path[0]))
+          throw new Error(`The "${path[0]}" alias would shadow the ${commandClass.name} command`);
+
         builder.addPath(path);
+      }
+    }
 
     this.registrations.set(commandClass, {specs, builder, index});
 
     for (const [key, {definition}] of specs.entries())
       definition(builder, key);
 
+    for (const constraint of commandClass.constraints ?? [])
+      builder.addConstraint(constraint);
+
     builder.setContext({
       commandClass,
     });
   }
 
-  process(input: Array<string>) {
-    const {contexts, process} = this.builder.compile();
-    const state = process(input);
+  /**
+   * Registers a middleware, whose hooks will be called around the execution
+   * of the commands. Middlewares are nested in registration order, the first
+   * one being the outermost.
+   */
+  use(middleware: Middleware<Context>) {
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  /**
+   * Registers an alias, which will be replaced by the given arguments when
+   * used as first argument (similar to the git aliases). Aliases can't
+   * shadow the paths of the registered commands.
+   *
+   * Aliases can also be defined by the users, in the `aliases` key of the
+   * configuration (see `Config.search`).
+   *
+   * @param argv The arguments the alias stands for, or a command line
+   *
+   * @example
+   * cli.alias(`ci`, `install --frozen-lockfile --immutable`)
+   */
+  alias(name: string, argv: Array<string> | string) {
+    if (!name.match(/^[^-\s]\S*$/))
+      throw new Error(`Invalid alias name ("${name}")`);
+    if (this.isCommandName(name))
+      throw new Error(`The "${name}" alias would shadow a registered command`);
+
+    this.aliases.set(name, typeof argv === `string` ? tokenize(argv) : argv);
+    return this;
+  }
+
+  /**
+   * Returns the aliases registered through `Cli#alias`, along with the ones
+   * from the configuration. The latter take precedence, but are ignored
+   * when they would shadow a command.
+   */
+  private getAliases(config: ConfigResult | null) {
+    const aliases = new Map(this.aliases);
+
+    for (const [name, argv] of getConfigAliases(config))
+      if (!this.isCommandName(name))
+        aliases.set(name, argv);
+
+    return aliases;
+  }
+
+  private loadConfig(cwd: string = process.cwd()) {
+    return this.config?.({cwd}) ?? null;
+  }
+
+  private isCommandName(name: string) {
+    for (const {builder} of this.registrations.values())
+      if (builder.paths.some(path => path[0] === name))
+        return true;
+
+    return false;
+  }
+
+  process(input: Array<string>, context: Partial<Context> = {}) {
+    return this.processInput(input, context, {allowPrompts: false});
+  }
+
+  /**
+   * Same as `Cli#process`, but splits the command line into arguments first
+   * (see `tokenize`). Malformed command lines throw a `TokenizeError`.
+   *
+   * @example
+   * cli.processString(`install --flag "a b"`)
+   */
+  processString(input: string, context: Partial<Context> = {}) {
+    return this.process(tokenize(input), context);
+  }
+
+  private processInput(input: Array<string>, context: Partial<Context>, {allowPrompts}: {allowPrompts: boolean}) {
+    const env = context.env ?? process.env;
+
+    // The configuration is only searched for once needed
+    let config: ConfigResult | null | undefined;
+    const getConfig = () => {
+      if (typeof config === `undefined`)
+        config = this.loadConfig(context.cwd);
+
+      return config;
+    };
+
+    // Picking the command must work even if the configuration is broken (for
+    // example for `--help`), so its errors are only reported once it's used
+    let configError: Error | null = null;
+    const getConfigForSelection = () => {
+      try {
+        return getConfig();
+      } catch (error) {
+        configError = error;
+        return null;
+      }
+    };
+
+    const specsByBuilder = new Map([...this.registrations.values()].map(({builder, specs}) => [builder, specs]));
+
+    const {contexts, process: processInput} = this.builder.compile({
+      allowMissing: builder => getMissingValues(specsByBuilder.get(builder)!, {allowPrompts, env, getConfig: getConfigForSelection}),
+    });
+
+    const expandedInput = this.enableResponseFiles
+      ? expandResponseFiles(input, {cwd: context.cwd ?? process.cwd()})
+      : input;
+
+    // A broken configuration doesn't prevent from reporting a mistyped command name; it's only reported once a command reads from it
+    const getAliases = () => {
+      let config = null;
+      try {
+        config = getConfig();
+      } catch {}
+
+      return this.getAliases(config);
+    };
+
+    // Options and command names can't be aliases, so there's no need to read them from the configuration
+    const argv = expandedInput.length > 0 && !expandedInput[0].startsWith(`-`) && !this.isCommandName(expandedInput[0])
+      ? expandAliases(expandedInput, getAliases())
+      : expandedInput;
+
+    let state;
+    try {
+      state = processInput(argv);
+    } catch (error) {
+      // The required options the configuration would have set were considered missing
+      if (configError !== null)
+        throw configError;
+
+      throw argv !== input ? withOriginalInput(error, input) : error;
+    }
 
     switch (state.selectedIndex) {
       case HELP_COMMAND_INDEX: {
@@ -237,9 +753,25 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
         const command = new commandClass();
         command.path = state.path;
 
+        const sources = new Map<string, OptionSource>();
+        command[optionSourcesSymbol] = sources;
+
         try {
-          for (const [key, {transformer}] of record.specs.entries())
-            (command as any)[key] = transformer(record.builder, key, state);
+          for (const [key, {transformer}] of record.specs.entries()) {
+            (command as any)[key] = transformer(record.builder, key, state, {
+              env,
+              getConfig,
+              setSource: source => sources.set(key, source),
+            });
+          }
+
+          const violation = getConstraintViolation(state, getFallbackOptions(command, record.specs));
+          if (violation !== null)
+            throw new UsageError(violation);
+
+          // The missing values will be checked once the user has been prompted for them
+          if (!allowPrompts)
+            assertRequiredValues(command, record.specs);
 
           return command;
         } catch (error) {
@@ -251,21 +783,41 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
   }
 
   async run(input: Command<Context> | Array<string>, context: Context) {
+    const columns = this.getColumns(context);
     let command: Command<Context>;
 
+    let argv: Array<string> | undefined;
+    let errorFormat = this.errorFormat;
+
     if (!Array.isArray(input)) {
       command = input;
     } else {
+      const extracted = extractErrorFormat(input);
+
+      argv = extracted.input;
+      errorFormat = extracted.errorFormat ?? errorFormat;
+
+      const allowPrompts = this.enablePrompts && isInteractive(context.stdin);
+
       try {
-        command = this.process(input);
+        command = this.processInput(argv, context, {allowPrompts});
       } catch (error) {
-        context.stdout.write(this.error(error));
-        return 1;
+        context[this.errorStream].write(this.error(error, {columns, errorFormat, input: argv, cwd: context.cwd}));
+        return getExitCode(error);
+      }
+
+      if (allowPrompts && !command.help) {
+        try {
+          await this.promptMissingValues(command, context);
+        } catch (error) {
+          context[this.errorStream].write(this.error(error, {command, columns, errorFormat, input: argv, cwd: context.cwd}));
+          return getExitCode(error);
+        }
       }
     }
 
     if (command.help) {
-      context.stdout.write(this.usage(command, {detailed: true}));
+      context.stdout.write(this.usage(command, {detailed: true, columns}));
       return 0;
     }
 
@@ -274,40 +826,401 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
       binaryLabel: this.binaryLabel,
       binaryName: this.binaryName,
       binaryVersion: this.binaryVersion,
+      columns: this.columns,
       enableColors: this.enableColors,
+      theme: this.theme,
+      enableAbbreviations: this.enableAbbreviations,
+      errorStream: this.errorStream,
+      errorFormat,
+      enablePrompts: this.enablePrompts,
+      enableResponseFiles: this.enableResponseFiles,
+      envPrefix: this.envPrefix,
+      config: this.config,
+      complete: input => this.complete(input, context),
       definitions: () => this.definitions(),
-      error: (error, opts) => this.error(error, opts),
-      process: input => this.process(input),
+      manpages: opts => this.manpages(opts),
+      markdown: () => this.markdown(),
+      writeMarkdown: outputDir => this.writeMarkdown(outputDir),
+      schemas: () => this.schemas(),
+      error: (error, opts) => this.error(error, {columns, errorFormat, input: argv, cwd: context.cwd, ...opts}),
+      process: (input, subContext?) => this.process(input, {...context, ...subContext}),
+      processString: (input, subContext?) => this.processString(input, {...context, ...subContext}),
       run: (input, subContext?) => this.run(input, {...context, ...subContext}),
-      usage: (command, opts) => this.usage(command, opts),
+      runString: (input, subContext?) => this.runString(input, {...context, ...subContext}),
+      usage: (command, opts) => this.usage(command, {columns, cwd: context.cwd, ...opts}),
     };
 
+    const commandClass = command.constructor as CommandClass<Context>;
+    const info = {command, commandClass, path: command.path ?? [], context};
+
     let exitCode;
     try {
-      exitCode = await command.validateAndExecute().catch(error => command.catch(error).then(() => 0));
+      exitCode = await applyMiddlewares(this.middlewares, info, () => {
+        return command.validateAndExecute().catch(error => command.catch(error).then(() => 0));
+      });
     } catch (error) {
-      context.stdout.write(this.error(error, {command}));
-      return 1;
+      context[this.errorStream].write(this.error(error, {command, columns, errorFormat, input: argv, cwd: context.cwd}));
+      return getExitCode(error);
     }
 
     return exitCode;
   }
 
+  /**
+   * Same as `Cli#run`, but splits the command line into arguments first
+   * (see `tokenize`). Malformed command lines are reported like any other
+   * error.
+   *
+   * @example
+   * cli.runString(`install --flag "a b"`, Cli.defaultContext)
+   */
+  async runString(input: string, context: Context) {
+    let argv: Array<string>;
+    try {
+      argv = tokenize(input);
+    } catch (error) {
+      context[this.errorStream].write(this.error(error, {columns: this.getColumns(context)}));
+      return getExitCode(error);
+    }
+
+    return await this.run(argv, context);
+  }
+
+  /**
+   * Asks the user for the values of the options that were allowed to be
+   * omitted from the command line, then throws if some are still missing.
+   */
+  private async promptMissingValues(command: Command<Context>, context: Context) {
+    const record = this.registrations.get(command.constructor as CommandClass<Context>);
+    if (typeof record === `undefined`)
+      return;
+
+    const prompter = new Prompter(context.stdin, context.stdout);
+
+    for (const [key, {prompt}] of record.specs) {
+      if (typeof prompt === `undefined` || typeof (command as any)[key] !== `undefined`)
+        continue;
+
+      const request = prompt(key);
+      if (request === null)
+        continue;
+
+      (command as any)[key] = await prompter.ask(request);
+      command[optionSourcesSymbol].set(key, {type: `prompt`});
+    }
+
+    assertRequiredValues(command, record.specs);
+  }
+
   /**
    * Runs a command and exits the current `process` with the exit code returned by the command.
    *
+   * The first SIGINT or SIGTERM aborts the `signal` of the context and lets
+   * the command finish, in which case the exit code is 128 + the signal
+   * number. The second one exits the process immediately.
+   *
    * @param input An array containing the name of the command and its arguments.
    *
    * @example
    * cli.runExit(process.argv.slice(2), Cli.defaultContext)
    */
   async runExit(input: Command<Context> | Array<string>, context: Context) {
-    process.exitCode = await this.run(input, context);
+    // AbortController is only available as a global since Node 15
+    const controller = typeof AbortController !== `undefined`
+      ? new AbortController()
+      : null;
+
+    if (controller !== null && typeof context.signal !== `undefined`) {
+      if (context.signal.aborted) {
+        controller.abort();
+      } else {
+        context.signal.addEventListener(`abort`, () => controller.abort());
+      }
+    }
+
+    let receivedSignal: keyof typeof EXIT_SIGNALS | null = null;
+
+    const handlers = Object.keys(EXIT_SIGNALS).map(name => {
+      const signal = name as keyof typeof EXIT_SIGNALS;
+
+      const handler = () => {
+        if (receivedSignal !== null)
+          process.exit(128 + EXIT_SIGNALS[signal]);
+
+        receivedSignal = signal;
+        controller?.abort();
+      };
+
+      process.on(signal, handler);
+      return () => process.off(signal, handler);
+    });
+
+    try {
+      const exitCode = await this.run(input, controller !== null
+        ? {...context, signal: controller.signal}
+        : context);
+
+      process.exitCode = receivedSignal !== null
+        ? 128 + EXIT_SIGNALS[receivedSignal as keyof typeof EXIT_SIGNALS]
+        : exitCode;
+    } finally {
+      for (const removeHandler of handlers) {
+        removeHandler();
+      }
+    }
+  }
+
+  /**
+   * Starts an interactive session: the lines read from the standard input
+   * are split like a shell would, then run one after the other. Errors are
+   * printed without ending the session, which only stops on `exit [code]`
+   * or at the end of the input.
+   *
+   * Besides the registered commands, the session supports `help [path]`,
+   * `history`, and `exit`. The commands have the input to themselves while
+   * they run, so they can prompt the user (see `enablePrompts`).
+   *
+   * @returns The code passed to `exit`, or the exit code of the last command
+   *
+   * @example
+   * cli.repl(Cli.defaultContext, {prompt: `admin> `})
+   */
+  async repl(context: Context, {prompt = this.binaryName !== `...` ? `${this.binaryName}> ` : `> `, history = [], historySize = 100}: ReplOptions = {}) {
+    const columns = this.getColumns(context);
+
+    const lines: Array<string> = [];
+    let ended = false;
+    let notify: (() => void) | null = null;
+
+    let rl: readline.Interface | null = null;
+
+    const openInterface = () => {
+      const options: readline.ReadLineOptions & {history: Array<string>} = {
+        input: context.stdin,
+        output: context.stdout,
+        prompt,
+        terminal: isInteractive(context.stdin),
+        completer: (line: string) => this.completeReplLine(line, context),
+        historySize,
+        // Readline expects the most recent lines first
+        history: history.slice(-historySize).reverse(),
+      };
+
+      const instance = readline.createInterface(options);
+
+      // The lines are read ahead of time, so they are queued until the previous command is done
+      instance.on(`line`, line => {
+        lines.push(line);
+        notify?.();
+      });
+
+      instance.on(`close`, () => {
+        if (rl === instance) {
+          ended = true;
+          notify?.();
+        }
+      });
+
+      // Ctrl-C discards the current line rather than ending the session, like shells do
+      instance.on(`SIGINT`, () => {
+        instance.write(null, {ctrl: true, name: `u`});
+        context.stdout.write(`\n`);
+        instance.prompt();
+      });
+
+      rl = instance;
+    };
+
+    const closeInterface = () => {
+      const instance = rl;
+      rl = null;
+
+      instance?.close();
+    };
+
+    const showPrompt = () => {
+      if (rl !== null) {
+        rl.prompt();
+      } else {
+        context.stdout.write(prompt);
+      }
+    };
+
+    const readLine = async () => {
+      while (lines.length === 0 && !ended)
+        await new Promise<void>(resolve => notify = resolve);
+
+      notify = null;
+      return lines.shift() ?? null;
+    };
+
+    let exitCode = 0;
+
+    try {
+      openInterface();
+      showPrompt();
+
+      while (true) {
+        const line = await readLine();
+        if (line === null)
+          break;
+
+        let argv: Array<string>;
+        try {
+          argv = tokenize(line);
+        } catch (error) {
+          context[this.errorStream].write(this.error(error, {columns}));
+          exitCode = getExitCode(error);
+
+          showPrompt();
+          continue;
+        }
+
+        if (argv.length > 0) {
+          history.push(line);
+          if (history.length > historySize) {
+            history.splice(0, history.length - historySize);
+          }
+        }
+
+        if (argv[0] === `exit`) {
+          if (argv.length > 1)
+            exitCode = parseInt(argv[1], 10) || 0;
+
+          break;
+        }
+
+        if (argv.length > 0) {
+          // The commands may prompt the user, in which case they must be the only ones reading the input
+          closeInterface();
+          exitCode = await this.runReplCommand(argv, context, {columns, history});
+
+          // The end of the input won't be reported again if it was reached while the command was running
+          if (context.stdin.readableEnded) {
+            ended = true;
+          } else if (!ended) {
+            openInterface();
+          }
+        }
+
+        showPrompt();
+      }
+    } finally {
+      closeInterface();
+    }
+
+    return exitCode;
   }
 
-  suggest(input: Array<string>, partial: boolean) {
+  private async runReplCommand(argv: Array<string>, context: Context, {columns, history}: {columns: number, history: Array<string>}) {
+    switch (argv[0]) {
+      case `help`: {
+        if (argv.length > 1)
+          return await this.run([...argv.slice(1), `--help`], context);
+
+        context.stdout.write(this.usage(null, {columns, cwd: context.cwd}));
+        return 0;
+      }
+
+      case `history`: {
+        for (let t = 0; t < history.length; ++t)
+          context.stdout.write(`${String(t + 1).padStart(5)}  ${history[t]}\n`);
+
+        return 0;
+      }
+
+      default: {
+        // The errors are already reported by `run`, but the session must survive whatever happens
+        try {
+          return await this.run(argv, context);
+        } catch (error) {
+          context[this.errorStream].write(this.error(error, {columns}));
+          return getExitCode(error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Computes the tab completion of the REPL, as expected by readline: the
+   * candidates for the word under the cursor, and the word itself.
+   */
+  private completeReplLine(line: string, context: Context): [Array<string>, string] {
+    let argv: Array<string>;
+    try {
+      argv = tokenize(line);
+    } catch {
+      return [[], ``];
+    }
+
+    // The word under the cursor is empty when the line ends with a space
+    const partial = argv.length > 0 && !line.match(/\s$/);
+    const current = partial ? argv[argv.length - 1] : ``;
+
+    // The line may not match any command (yet), in which case only the builtins can be offered
+    let suggestions: Array<Array<string>>;
+    try {
+      suggestions = this.suggest(argv, partial, context);
+    } catch {
+      suggestions = [];
+    }
+
+    const completions = suggestions.map(suggestion => {
+      return `${current}${suggestion.join(` `)}`;
+    });
+
+    if (argv.length === (partial ? 1 : 0))
+      completions.push(...REPL_BUILTINS.filter(name => name.startsWith(current)));
+
+    return [[...new Set(completions)].sort(), current];
+  }
+
+  suggest(input: Array<string>, partial: boolean, context: Partial<Context> = {}) {
     const {suggest} = this.builder.compile();
-    return suggest(input, partial);
+    const aliases = this.getAliases(this.loadConfig(context.cwd));
+
+    // The last argument is the one being completed, so it can only be expanded once followed by another one
+    if (input.length > 1 || (input.length === 1 && !partial))
+      return suggest(expandAliases(input, aliases), partial);
+
+    const current = input.length > 0 ? input[0] : ``;
+
+    const aliasSuggestions = [...aliases.keys()]
+      .filter(name => name.startsWith(current) && name !== current)
+      .map(name => [partial ? name.slice(current.length) : name]);
+
+    let suggestions: Array<Array<string>>;
+    try {
+      suggestions = suggest(input, partial);
+    } catch (error) {
+      // The input may only be the prefix of an alias
+      if (!(error instanceof UnknownSyntaxError) || aliasSuggestions.length === 0)
+        throw error;
+
+      suggestions = [];
+    }
+
+    return [...suggestions, ...aliasSuggestions].sort();
+  }
+
+  async complete(input: Array<string>, context: Partial<Context> = {}) {
+    const {complete} = this.builder.compile();
+    const aliases = this.getAliases(this.loadConfig(context.cwd));
+
+    const current = input.length > 0 ? input[input.length - 1] : ``;
+    const previous = expandAliases(input.slice(0, -1), aliases);
+
+    const candidates = await complete(previous, current, {...Cli.defaultContext, ...context});
+
+    // The first argument may also be an alias
+    if (input.length <= 1)
+      for (const name of aliases.keys())
+        if (name.startsWith(current))
+          candidates.push(name);
+
+    // The builtin entries used to power the completion aren't meant to be
+    // typed by the users, so we don't advertise them
+    return [...new Set(candidates)].filter(candidate => !candidate.startsWith(`--clipanion=`)).sort();
   }
 
   definitions({colored = false}: {colored?: boolean} = {}): Array<Definition> {
@@ -342,7 +1255,56 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
     return data;
   }
 
-  usage(command: CommandClass<Context> | Command<Context> | null = null, {colored, detailed = false, prefix = `$ `}: {colored?: boolean, detailed?: boolean, prefix?: string} = {}) {
+  manpages({section, date}: {section?: string, date?: string} = {}): Array<Manpage> {
+    return generateManpages(this.definitions(), {
+      binaryName: this.binaryName,
+      binaryLabel: this.binaryLabel,
+      binaryVersion: this.binaryVersion,
+      section,
+      date,
+    });
+  }
+
+  markdown(): Array<MarkdownPage> {
+    return generateMarkdown(this.definitions(), {
+      binaryName: this.binaryName,
+      binaryLabel: this.binaryLabel,
+    });
+  }
+
+  /**
+   * Writes the pages returned by `Cli#markdown` into the given directory,
+   * one subdirectory per category.
+   *
+   * @returns The paths of the written files
+   *
+   * @example
+   * cli.writeMarkdown(`docs/cli`)
+   */
+  writeMarkdown(outputDir: string): Array<string> {
+    return writeMarkdown(this.markdown(), outputDir);
+  }
+
+  schemas(): Array<JsonSchema> {
+    const data: Array<JsonSchema> = [];
+
+    for (const [commandClass, {index, specs, builder}] of this.registrations) {
+      if (typeof commandClass.usage === `undefined`)
+        continue;
+
+      const {usage: path} = this.getUsageByIndex(index, {detailed: false});
+
+      const description = typeof commandClass.usage.description !== `undefined`
+        ? formatMarkdownish(commandClass.usage.description, {format: this.format(false), paragraphs: false}).trim()
+        : undefined;
+
+      data.push(generateSchema({path, description, paths: builder.paths, specs}));
+    }
+
+    return data;
+  }
+
+  usage(command: CommandClass<Context> | Command<Context> | null = null, {colored, detailed = false, prefix = `$ `, columns = this.columns ?? DEFAULT_COLUMNS, cwd}: {colored?: boolean, detailed?: boolean, prefix?: string, columns?: number, cwd?: string} = {}) {
     // In case the default command is the only one, we can just show the command help rather than the general one
     if (command === null) {
       for (const commandClass of this.registrations.keys()) {
@@ -390,7 +1352,7 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
           continue;
 
         const category = typeof commandClass.usage.category !== `undefined`
-          ? formatMarkdownish(commandClass.usage.category, {format: this.format(colored), paragraphs: false})
+          ? formatMarkdownish(commandClass.usage.category, {format: this.format(colored), paragraphs: false, columns})
           : null;
 
         let categoryCommands = commandsByCategories.get(category);
@@ -412,11 +1374,11 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
 
       if (hasLabel || hasVersion) {
         if (hasLabel && hasVersion)
-          result += `${this.format(colored).header(`${this.binaryLabel} - ${this.binaryVersion}`)}\n\n`;
+          result += `${this.format(colored).header(`${this.binaryLabel} - ${this.binaryVersion}`, columns)}\n\n`;
         else if (hasLabel)
-          result += `${this.format(colored).header(`${this.binaryLabel}`)}\n`;
+          result += `${this.format(colored).header(`${this.binaryLabel}`, columns)}\n`;
         else
-          result += `${this.format(colored).header(`${this.binaryVersion}`)}\n`;
+          result += `${this.format(colored).header(`${this.binaryVersion}`, columns)}\n`;
 
         result += `  ${this.format(colored).bold(prefix)}${this.binaryName} <command>\n`;
       } else {
@@ -433,47 +1395,70 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
           : `General commands`;
 
         result += `\n`;
-        result += `${this.format(colored).header(`${header}`)}\n`;
+        result += `${this.format(colored).header(this.format(colored).category(header), columns)}\n`;
 
         for (const {commandClass, usage} of commands) {
           const doc = commandClass.usage!.description || `undocumented`;
 
           result += `\n`;
-          result += `  ${this.format(colored).bold(usage)}\n`;
-          result += `    ${formatMarkdownish(doc, {format: this.format(colored), paragraphs: false})}`;
+          result += `  ${this.format(colored).bold(formatUsageLine(usage, this.format(colored)))}\n`;
+          result += `    ${formatMarkdownish(doc, {format: this.format(colored), paragraphs: false, columns})}`;
+        }
+      }
+
+      // The help must be printed even if the configuration is broken
+      let aliases = this.aliases;
+      try {
+        aliases = this.getAliases(this.loadConfig(cwd));
+      } catch {}
+
+      if (aliases.size > 0) {
+        result += `\n`;
+        result += `${this.format(colored).header(this.format(colored).category(`Aliases`), columns)}\n`;
+
+        for (const [name, argv] of [...aliases].sort(([a], [b]) => a.localeCompare(b, `en`))) {
+          result += `\n`;
+          result += `  ${this.format(colored).bold(`${this.binaryName} ${name}`)}\n`;
+          result += `    ${formatMarkdownish(`Alias for \`${this.binaryName} ${formatArgv(argv)}\``, {format: this.format(colored), paragraphs: false, columns})}`;
         }
       }
 
       result += `\n`;
-      result += formatMarkdownish(`You can also print more details about any of these commands by calling them with the \`-h,--help\` flag right after the command name.`, {format: this.format(colored), paragraphs: true});
+      result += formatMarkdownish(`You can also print more details about any of these commands by calling them with the \`-h,--help\` flag right after the command name.`, {format: this.format(colored), paragraphs: true, columns});
     } else {
       if (!detailed) {
         const {usage} = this.getUsageByRegistration(commandClass);
-        result += `${this.format(colored).bold(prefix)}${usage}\n`;
+        result += `${this.format(colored).bold(prefix)}${formatUsageLine(usage, this.format(colored))}\n`;
       } else {
         const {
           description = ``,
           details = ``,
           examples = [],
+          deprecated,
         } = commandClass.usage || {};
 
         if (description !== ``) {
-          result += formatMarkdownish(description, {format: this.format(colored), paragraphs: false}).replace(/^./, $0 => $0.toUpperCase());
+          result += formatMarkdownish(description, {format: this.format(colored), paragraphs: false, columns}).replace(/^./, $0 => $0.toUpperCase());
           result += `\n`;
         }
 
+        if (typeof deprecated !== `undefined`) {
+          result += this.format(colored).deprecation(formatMarkdownish(`Deprecated: ${deprecated}`, {format: this.format(colored), paragraphs: false, columns}).trimEnd());
+          result += `\n\n`;
+        }
+
         if (details !== `` || examples.length > 0) {
-          result += `${this.format(colored).header(`Usage`)}\n`;
+          result += `${this.format(colored).header(`Usage`, columns)}\n`;
           result += `\n`;
         }
 
         const {usage, options} = this.getUsageByRegistration(commandClass, {inlineOptions: false});
 
-        result += `${this.format(colored).bold(prefix)}${usage}\n`;
+        result += `${this.format(colored).bold(prefix)}${formatUsageLine(usage, this.format(colored))}\n`;
 
         if (options.length > 0) {
           result += `\n`;
-          result += `${richFormat.header(`Options`)}\n`;
+          result += `${this.format(colored).header(`Options`, columns)}\n`;
 
           const maxDefinitionLength = options.reduce((length, option) => {
             return Math.max(length, option.definition.length);
@@ -481,26 +1466,34 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
 
           result += `\n`;
 
-          for (const {definition, description} of options) {
-            result += `  ${this.format(colored).bold(definition.padEnd(maxDefinitionLength))}    ${formatMarkdownish(description, {format: this.format(colored), paragraphs: false})}`;
+          for (const {definition, description = ``, env} of options) {
+            const details = typeof env !== `undefined`
+              ? `${description}${description !== `` ? ` ` : ``}[env: ${env}]`
+              : description;
+
+            // The descriptions are wrapped with a hanging indent, so that they stay aligned
+            const indent = 2 + maxDefinitionLength + 4;
+            const wrappedDetails = wrapText(formatMarkdownish(details, {format: this.format(colored), paragraphs: false, columns}).trimEnd(), {columns, indent});
+
+            result += `  ${this.format(colored).option(definition.padEnd(maxDefinitionLength))}    ${wrappedDetails}\n`;
           }
         }
 
         if (details !== ``) {
           result += `\n`;
-          result += `${this.format(colored).header(`Details`)}\n`;
+          result += `${this.format(colored).header(`Details`, columns)}\n`;
           result += `\n`;
 
-          result += formatMarkdownish(details, {format: this.format(colored), paragraphs: true});
+          result += formatMarkdownish(details, {format: this.format(colored), paragraphs: true, columns});
         }
 
         if (examples.length > 0) {
           result += `\n`;
-          result += `${this.format(colored).header(`Examples`)}\n`;
+          result += `${this.format(colored).header(`Examples`, columns)}\n`;
 
           for (const [description, example] of examples) {
             result += `\n`;
-            result += formatMarkdownish(description, {format: this.format(colored), paragraphs: false});
+            result += formatMarkdownish(description, {format: this.format(colored), paragraphs: false, columns});
             result += `${example
               .replace(/^/m, `  ${this.format(colored).bold(prefix)}`)
               .replace(/\$0/g, this.binaryName)
@@ -513,10 +1506,13 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
     return result;
   }
 
-  error(error: Error | any, {colored, command = error[errorCommandSymbol] ?? null}: {colored?: boolean, command?: Command<Context> | null} = {}) {
+  error(error: Error | any, {colored, command = error[errorCommandSymbol] ?? null, columns, errorFormat = this.errorFormat, input, cwd}: {colored?: boolean, command?: Command<Context> | null, columns?: number, errorFormat?: ErrorFormat, input?: Array<string>, cwd?: string} = {}) {
     if (!(error instanceof Error))
       error = new Error(`Execution failed with a non-error rejection (rejected value: ${JSON.stringify(error)})`);
 
+    if (errorFormat === `json`)
+      return `${JSON.stringify(getErrorReport(error, input))}\n`;
+
     let result = ``;
 
     let name = error.name.replace(/([a-z])([A-Z])/g, `$1 $2`);
@@ -530,7 +1526,7 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
     if (typeof meta !== `undefined`) {
       if (meta.type === `usage`) {
         result += `\n`;
-        result += this.usage(command);
+        result += this.usage(command, {columns, cwd});
       }
     } else {
       if (error.stack) {
@@ -553,7 +1549,26 @@ export class Cli<Context extends BaseContext = BaseContext> implements MiniCli<C
     return this.builder.getBuilderByIndex(n).usage(opts);
   }
 
+  /**
+   * Returns the width of the output: the `columns` option, the `COLUMNS`
+   * environment variable, or the width of the output stream, in this order.
+   */
+  protected getColumns(context: Partial<BaseContext>) {
+    if (typeof this.columns !== `undefined`)
+      return this.columns;
+
+    const columnsFromEnv = parseInt((context.env ?? process.env).COLUMNS ?? ``, 10);
+    if (columnsFromEnv > 0)
+      return columnsFromEnv;
+
+    const columnsFromStream = (context.stdout as {columns?: number} | undefined)?.columns;
+    if (typeof columnsFromStream === `number` && columnsFromStream > 0)
+      return columnsFromStream;
+
+    return DEFAULT_COLUMNS;
+  }
+
   protected format(colored: boolean = this.enableColors): ColorFormat {
-    return colored ? richFormat : textFormat;
+    return colored ? {...richFormat, ...this.theme} : textFormat;
   }
 }
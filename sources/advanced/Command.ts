@@ -1,7 +1,9 @@
-import {Coercion, LooseTest}         from 'typanion';
+import {Coercion, LooseTest}                                            from 'typanion';
 
-import {BaseContext, MiniCli}        from './Cli';
-import {formatError, isOptionSymbol} from './options/utils';
+import {OptionConstraint}                                               from '../core';
+
+import {BaseContext, MiniCli}                                           from './Cli';
+import {formatError, isOptionSymbol, OptionSource, optionSourcesSymbol} from './options/utils';
 
 /**
  * The usage of a Command.
@@ -37,6 +39,12 @@ export type Usage = {
    * If present, the leading `$0` is replaced with `cli.binaryName`.
    */
   examples?: Array<[string, string]>;
+
+  /**
+   * If set, the command is flagged as deprecated in the detailed usage,
+   * followed by this message (usually pointing to its replacement).
+   */
+  deprecated?: string;
 };
 
 /**
@@ -60,13 +68,17 @@ export type Definition = Usage & {
     definition: string;
     description?: string;
     required: boolean;
+    env?: string;
+    choices?: Array<string>;
   }>;
 };
 
 export type CommandClass<Context extends BaseContext = BaseContext> = {
   new(): Command<Context>;
+  constraints?: Array<OptionConstraint>;
   paths?: Array<Array<string>>;
   schema?: Array<LooseTest<{[key: string]: unknown}>>;
+  skipMiddlewares?: boolean | Array<string>;
   usage?: Usage;
 };
 
@@ -86,6 +98,46 @@ export abstract class Command<Context extends BaseContext = BaseContext> {
    */
   static paths?: Array<Array<string>>;
 
+  /**
+   * Constraints between the options of the command, checked against the
+   * command line before the command is instantiated.
+   *
+   * @example
+   * static constraints = [
+   *   Command.ExactlyOne(`--json`, `--yaml`),
+   *   Command.Implies(`--key`, `--cert`),
+   * ];
+   */
+  static constraints?: Array<OptionConstraint>;
+
+  /**
+   * Requires exactly one of the given options to be set.
+   */
+  static ExactlyOne(...options: Array<string>): OptionConstraint {
+    return {type: `exactlyOne`, options};
+  }
+
+  /**
+   * Forbids the given options from being set together.
+   */
+  static AtMostOne(...options: Array<string>): OptionConstraint {
+    return {type: `atMostOne`, options};
+  }
+
+  /**
+   * Requires the implied options to be set whenever the first one is.
+   */
+  static Implies(option: string, ...implied: Array<string>): OptionConstraint {
+    return {type: `implies`, options: [option, ...implied]};
+  }
+
+  /**
+   * Forbids the first option from being set along with any of the others.
+   */
+  static Conflicts(option: string, ...conflicting: Array<string>): OptionConstraint {
+    return {type: `conflicts`, options: [option, ...conflicting]};
+  }
+
   /**
    * Defines the usage information for the given command.
    */
@@ -107,6 +159,12 @@ export abstract class Command<Context extends BaseContext = BaseContext> {
    */
   static schema?: Array<LooseTest<{[key: string]: unknown}>>;
 
+  /**
+   * Opts out of the middlewares registered through `Cli#use`: either all of
+   * them (`true`), or only those with the given names.
+   */
+  static skipMiddlewares?: boolean | Array<string>;
+
   /**
    * Standard function that'll get executed by `Cli#run` and `Cli#runExit`.
    *
@@ -148,6 +206,19 @@ export abstract class Command<Context extends BaseContext = BaseContext> {
    */
   path!: Array<string>;
 
+  /**
+   * Populated by `Cli#process` with the origin of each option value.
+   */
+  [optionSourcesSymbol]: Map<string, OptionSource> = new Map();
+
+  /**
+   * Returns where the value of the given option comes from: the command
+   * line, an environment variable, the configuration, or its initial value.
+   */
+  getOptionSource(key: string): OptionSource {
+    return this[optionSourcesSymbol].get(key) ?? {type: `default`};
+  }
+
   async validateAndExecute(): Promise<number> {
     const commandClass = this.constructor as CommandClass<Context>;
     const cascade = commandClass.schema;
@@ -0,0 +1,264 @@
+import fs            from 'fs';
+import path          from 'path';
+
+import {ConfigError} from '../errors';
+
+/**
+ * The values loaded from a configuration file, along with the path of the
+ * file they come from.
+ */
+export type ConfigResult = {
+  path: string;
+  values: Record<string, unknown>;
+};
+
+/**
+ * Finds and loads the configuration that applies to the given directory.
+ * Returns `null` if no configuration can be found.
+ */
+export type ConfigSource = (opts: {cwd: string}) => ConfigResult | null;
+
+/**
+ * Turns the content of a configuration file into a set of values.
+ */
+export type ConfigLoader = (content: string) => Record<string, unknown>;
+
+export type SearchOptions = {
+  /**
+   * The configuration files to look for in each directory, by order of
+   * priority (for example `.mytoolrc.json`). Their loader is selected
+   * based on their extension.
+   */
+  files?: Array<string>;
+
+  /**
+   * If set, the values will also be read from this key of the
+   * `package.json` files.
+   */
+  packageJson?: string;
+
+  /**
+   * Overrides the loaders associated with each file extension. Files
+   * without extension (such as `.mytoolrc`) use the `` key.
+   */
+  loaders?: Record<string, ConfigLoader>;
+};
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === `object` && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Parses a JSON configuration file.
+ */
+export function loadJson(content: string) {
+  const values = JSON.parse(content);
+  if (!isRecord(values))
+    throw new Error(`Expected the configuration to be an object`);
+
+  return values;
+}
+
+function parseScalar(raw: string): unknown {
+  if (raw.match(/^"(?:[^"\\]|\\.)*"$/))
+    return JSON.parse(raw);
+  if (raw.match(/^'.*'$/))
+    return raw.slice(1, -1).replace(/''/g, `'`);
+
+  if (raw.match(/^\[.*\]$/)) {
+    const body = raw.slice(1, -1).trim();
+    return body !== `` ? body.split(`,`).map(item => parseScalar(item.trim())) : [];
+  }
+
+  switch (raw) {
+    case `true`: return true;
+    case `false`: return false;
+    case `null`: case `~`: return null;
+  }
+
+  if (raw.match(/^-?[0-9]+(\.[0-9]+)?$/))
+    return Number(raw);
+
+  return raw;
+}
+
+/**
+ * Removes the comment from a YAML line. A `#` only starts a comment when
+ * it's outside of the quoted scalars, and either starts the line or follows
+ * a whitespace (`title: "a #1"` and `url: a#b` don't have any).
+ */
+function stripYamlComment(line: string) {
+  let quote: string | null = null;
+
+  for (let t = 0; t < line.length; ++t) {
+    const char = line[t];
+    const previous = t > 0 ? line[t - 1] : ` `;
+
+    if (quote !== null) {
+      if (char === `\\` && quote === `"`) {
+        t += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === `"` || char === `'`) && previous.match(/[\s[,]/)) {
+      // Quotes only delimit a scalar when they start it (`it's` isn't quoted)
+      quote = char;
+    } else if (char === `#` && previous.match(/\s/)) {
+      return line.slice(0, t);
+    }
+  }
+
+  return line;
+}
+
+/**
+ * Parses a YAML configuration file. Only the subset of YAML relevant to
+ * options is supported: a flat mapping whose values are scalars, inline
+ * lists (`[a, b]`), or block lists (`- a`).
+ */
+export function loadYaml(content: string) {
+  const values: Record<string, unknown> = {};
+  let currentList: Array<unknown> | null = null;
+
+  for (const [index, line] of content.split(/\r?\n/).entries()) {
+    const trimmed = stripYamlComment(line).trimEnd();
+    if (trimmed.trim() === `` || trimmed === `---`)
+      continue;
+
+    const listMatch = trimmed.match(/^\s+-\s+(.*)$/) ?? trimmed.match(/^-\s+(.*)$/);
+    if (listMatch !== null) {
+      if (currentList === null)
+        throw new Error(`Unexpected list item on line ${index + 1}`);
+
+      currentList.push(parseScalar(listMatch[1]));
+      continue;
+    }
+
+    const entryMatch = trimmed.match(/^([^\s:][^:]*):(?:\s+(.*))?$/);
+    if (entryMatch === null)
+      throw new Error(`Unsupported syntax on line ${index + 1}`);
+
+    const [, key, raw] = entryMatch;
+
+    if (typeof raw === `undefined`) {
+      values[key] = currentList = [];
+    } else {
+      values[key] = parseScalar(raw);
+      currentList = null;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses an INI configuration file. Values are kept as strings, sections
+ * become nested objects, and keys suffixed by `[]` are aggregated into
+ * lists.
+ */
+export function loadIni(content: string) {
+  const values: Record<string, unknown> = {};
+  let section = values;
+
+  for (const [index, line] of content.split(/\r?\n/).entries()) {
+    const trimmed = line.trim();
+    if (trimmed === `` || trimmed.startsWith(`;`) || trimmed.startsWith(`#`))
+      continue;
+
+    const sectionMatch = trimmed.match(/^\[(.+)\]$/);
+    if (sectionMatch !== null) {
+      values[sectionMatch[1]] = section = {};
+      continue;
+    }
+
+    const entryMatch = trimmed.match(/^([^=]+?)\s*=\s*(.*)$/);
+    if (entryMatch === null)
+      throw new Error(`Unsupported syntax on line ${index + 1}`);
+
+    const [, key, value] = entryMatch;
+
+    if (key.endsWith(`[]`)) {
+      const listKey = key.slice(0, -2);
+
+      const list = Array.isArray(section[listKey]) ? section[listKey] as Array<unknown> : section[listKey] = [];
+      list.push(value);
+    } else {
+      section[key] = value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * The loaders used by `search` unless overriden. Files without extension
+ * are parsed as JSON if they look like JSON, and as INI otherwise.
+ */
+export const defaultLoaders: Record<string, ConfigLoader> = {
+  [``]: content => content.trimStart().startsWith(`{`) ? loadJson(content) : loadIni(content),
+  [`.json`]: loadJson,
+  [`.yaml`]: loadYaml,
+  [`.yml`]: loadYaml,
+  [`.ini`]: loadIni,
+};
+
+/**
+ * Creates a configuration source that looks for the requested files from
+ * the current directory up to the root of the filesystem. The first file
+ * found wins; within a same directory, the files are checked by order of
+ * priority before the `package.json` key.
+ *
+ * @example
+ * const cli = new Cli({
+ *   binaryName: `my-cli`,
+ *   config: Config.search({files: [`.mytoolrc.json`, `.mytoolrc.yml`], packageJson: `mytool`}),
+ * });
+ */
+export function search({files = [], packageJson, loaders = {}}: SearchOptions): ConfigSource {
+  const allLoaders = {...defaultLoaders, ...loaders};
+
+  const load = (filePath: string, loader: ConfigLoader) => {
+    try {
+      return loader(fs.readFileSync(filePath, `utf8`));
+    } catch (error) {
+      throw new ConfigError(filePath, error.message);
+    }
+  };
+
+  return ({cwd}) => {
+    let currentDir = path.resolve(cwd);
+
+    while (true) {
+      for (const file of files) {
+        const filePath = path.join(currentDir, file);
+        if (!fs.existsSync(filePath))
+          continue;
+
+        const loader = allLoaders[path.extname(file)];
+        if (typeof loader === `undefined`)
+          throw new ConfigError(filePath, `No loader registered for this extension`);
+
+        return {path: filePath, values: load(filePath, loader)};
+      }
+
+      if (typeof packageJson !== `undefined`) {
+        const filePath = path.join(currentDir, `package.json`);
+
+        if (fs.existsSync(filePath)) {
+          const values = load(filePath, loadJson)[packageJson];
+          if (isRecord(values)) {
+            return {path: filePath, values};
+          } else if (typeof values !== `undefined`) {
+            throw new ConfigError(filePath, `Expected the "${packageJson}" key to be an object`);
+          }
+        }
+      }
+
+      const parentDir = path.dirname(currentDir);
+      if (parentDir === currentDir)
+        return null;
+
+      currentDir = parentDir;
+    }
+  };
+}
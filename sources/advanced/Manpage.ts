@@ -0,0 +1,208 @@
+import {Definition} from './Command';
+
+export type ManpageOptions = {
+  /**
+   * The name of the binary, used as name for the index page.
+   */
+  binaryName: string;
+
+  /**
+   * The label of the binary, used as description for the index page.
+   */
+  binaryLabel?: string;
+
+  /**
+   * The version of the binary, displayed in the footer of the pages.
+   */
+  binaryVersion?: string;
+
+  /**
+   * The manual section the pages belong to.
+   *
+   * @default
+   * `1`
+   */
+  section?: string;
+
+  /**
+   * The date displayed in the footer of the pages.
+   */
+  date?: string;
+};
+
+/**
+ * A manual page, in the roff format understood by `man`.
+ */
+export type Manpage = {
+  /**
+   * The name of the page (`my-cli-install`). The file should be named after
+   * it, followed by the section (`my-cli-install.1`).
+   */
+  name: string;
+
+  section: string;
+  content: string;
+};
+
+/**
+ * Escapes the characters that roff would otherwise interpret.
+ */
+export function escape(text: string) {
+  return text
+    .replace(/\\/g, `\\e`)
+    .replace(/-/g, `\\-`)
+    .replace(/^([.'])/gm, `\\&$1`);
+}
+
+function formatInline(text: string) {
+  return escape(text.trim())
+    .replace(/(`+)([\s\S]*?)\1/g, `\\fB$2\\fR`)
+    .replace(/\*\*([\s\S]*?)\*\*/g, `\\fB$1\\fR`)
+    .replace(/(?<!\w)_([^_]+?)_(?!\w)/g, `\\fI$1\\fR`)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, `$1 <$2>`);
+}
+
+function formatVerbatim(text: string) {
+  return [`.PP`, `.RS 4`, `.nf`, escape(text), `.fi`, `.RE`];
+}
+
+/**
+ * Converts the markdownish text of the definitions into roff paragraphs.
+ */
+function formatParagraphs(text: string) {
+  const lines: Array<string> = [];
+
+  // The fenced code blocks may contain empty lines, so they must be extracted before splitting the paragraphs
+  for (const block of text.trim().split(/^(```[^\n]*\n[\s\S]*?\n```)$/m)) {
+    if (block.startsWith(`\`\`\``)) {
+      lines.push(...formatVerbatim(block.split(`\n`).slice(1, -1).join(`\n`)));
+      continue;
+    }
+
+    for (const paragraph of block.trim().split(/\n{2,}/)) {
+      if (paragraph === ``)
+        continue;
+
+      const bulletMatch = paragraph.match(/^\s*([*-]|[0-9]+\.)[\t ]+([\s\S]*)$/);
+
+      if (paragraph.startsWith(`|`)) {
+        lines.push(...formatVerbatim(paragraph));
+      } else if (bulletMatch !== null) {
+        const marker = bulletMatch[1].match(/^[*-]$/) ? `\\(bu` : `"${bulletMatch[1]}"`;
+        lines.push(`.IP ${marker} ${bulletMatch[1].length + 1}`, formatInline(bulletMatch[2].replace(/\n\s+/g, `\n`)));
+      } else {
+        lines.push(`.PP`, formatInline(paragraph));
+      }
+    }
+  }
+
+  return lines;
+}
+
+function formatOptions(options: Definition['options']) {
+  const lines: Array<string> = [];
+
+  for (const {definition, description = ``, env} of options) {
+    const details = typeof env !== `undefined`
+      ? `${description.trim()}${description.trim() !== `` ? ` ` : ``}[env: ${env}]`
+      : description;
+
+    lines.push(`.TP`, `\\fB${escape(definition)}\\fR`, formatInline(details));
+  }
+
+  return lines;
+}
+
+function formatExamples(examples: Definition['examples'] = []) {
+  const lines: Array<string> = [];
+
+  for (const [label, command] of examples)
+    lines.push(`.PP`, formatInline(label), `.RS 4`, `.nf`, escape(`$ ${command}`), `.fi`, `.RE`);
+
+  return lines;
+}
+
+function formatSynopsis({path, usage}: Definition) {
+  const args = usage.startsWith(path)
+    ? usage.slice(path.length)
+    : ` ${usage}`;
+
+  return `\\fB${escape(path)}\\fR${escape(args)}`;
+}
+
+function getPageName(path: string) {
+  return path.split(` `).join(`-`);
+}
+
+function makePage(name: string, description: string | undefined, {section = `1`, date = ``, binaryName, binaryLabel, binaryVersion}: ManpageOptions, sections: Array<[string, Array<string>]>): Manpage {
+  const source = typeof binaryVersion !== `undefined`
+    ? `${binaryName} ${binaryVersion}`
+    : binaryName;
+
+  const lines = [
+    `.TH "${escape(name.toUpperCase())}" "${section}" "${escape(date)}" "${escape(source)}" "${escape(binaryLabel ?? ``)}"`,
+    `.SH NAME`,
+    typeof description !== `undefined` && description.trim() !== ``
+      ? `${escape(name)} \\- ${formatInline(description)}`
+      : escape(name),
+  ];
+
+  for (const [title, content] of sections)
+    if (content.length > 0)
+      lines.push(`.SH ${title}`, ...content);
+
+  return {name, section, content: `${lines.join(`\n`)}\n`};
+}
+
+/**
+ * Generates one manual page per documented command, plus an index page
+ * named after the binary. The index page lists all the commands, and also
+ * documents the default command, if any.
+ */
+export function generateManpages(definitions: Array<Definition>, opts: ManpageOptions): Array<Manpage> {
+  const {section = `1`, binaryName} = opts;
+
+  const defaultDefinition = definitions.find(definition => definition.path === binaryName);
+  const commandDefinitions = definitions
+    .filter(definition => definition !== defaultDefinition)
+    .sort((a, b) => a.path.localeCompare(b.path, `en`));
+
+  const indexReference = `\\fB${escape(binaryName)}\\fR(${section})`;
+  const pages: Array<Manpage> = [];
+
+  const indexSynopsis = [`.nf`, `\\fB${escape(binaryName)}\\fR <command>`];
+  if (typeof defaultDefinition !== `undefined`)
+    indexSynopsis.push(formatSynopsis(defaultDefinition));
+  indexSynopsis.push(`.fi`);
+
+  const commandList: Array<string> = [];
+  for (const {path, description} of commandDefinitions)
+    commandList.push(`.TP`, `\\fB${escape(path)}\\fR`, formatInline(description ?? ``));
+
+  const seeAlso = commandDefinitions.map(({path}) => {
+    return `\\fB${escape(getPageName(path))}\\fR(${section})`;
+  });
+
+  pages.push(makePage(binaryName, opts.binaryLabel, opts, [
+    [`SYNOPSIS`, indexSynopsis],
+    [`DESCRIPTION`, typeof defaultDefinition?.details !== `undefined` ? formatParagraphs(defaultDefinition.details) : []],
+    [`OPTIONS`, typeof defaultDefinition !== `undefined` ? formatOptions(defaultDefinition.options) : []],
+    [`COMMANDS`, commandList],
+    [`EXAMPLES`, formatExamples(defaultDefinition?.examples)],
+    [`SEE ALSO`, seeAlso.length > 0 ? [seeAlso.join(`,\n`)] : []],
+  ]));
+
+  for (const definition of commandDefinitions) {
+    const {path, description, details, examples, options} = definition;
+
+    pages.push(makePage(getPageName(path), description, opts, [
+      [`SYNOPSIS`, [`.nf`, formatSynopsis(definition), `.fi`]],
+      [`DESCRIPTION`, typeof details !== `undefined` ? formatParagraphs(details) : []],
+      [`OPTIONS`, formatOptions(options)],
+      [`EXAMPLES`, formatExamples(examples)],
+      [`SEE ALSO`, [indexReference]],
+    ]));
+  }
+
+  return pages;
+}
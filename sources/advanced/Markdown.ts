@@ -0,0 +1,196 @@
+import fs           from 'fs';
+import path         from 'path';
+
+import {Definition} from './Command';
+
+export type MarkdownOptions = {
+  /**
+   * The name of the binary, used to name the index page.
+   */
+  binaryName: string;
+
+  /**
+   * The label of the binary, used as title for the index page.
+   */
+  binaryLabel?: string;
+};
+
+/**
+ * A Markdown file, along with its path relative to the root of the
+ * documentation.
+ */
+export type MarkdownPage = {
+  path: string;
+  content: string;
+};
+
+const GENERAL_CATEGORY = `General commands`;
+
+function slugify(text: string) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, `-`).replace(/^-+|-+$/g, ``);
+}
+
+function formatFrontmatter(fields: Array<[string, string | undefined]>) {
+  const lines = [`---`];
+
+  // JSON strings are valid YAML scalars, and don't require any escaping
+  for (const [key, value] of fields)
+    if (typeof value !== `undefined`)
+      lines.push(`${key}: ${JSON.stringify(value)}`);
+
+  lines.push(`---`);
+  return lines;
+}
+
+function formatCell(text: string) {
+  return text.trim().replace(/\|/g, `\\|`).replace(/\n/g, ` `);
+}
+
+function getCategory({category}: Definition) {
+  return typeof category !== `undefined` ? category.trim() : GENERAL_CATEGORY;
+}
+
+function getPagePath(definition: Definition) {
+  return `${slugify(getCategory(definition))}/${slugify(definition.path)}.md`;
+}
+
+function getLink(from: string, to: string) {
+  return path.posix.relative(path.posix.dirname(from), to);
+}
+
+/**
+ * Two commands are related if they share the first segment of their path
+ * (`workspace list` and `workspace foreach`).
+ */
+function isRelated(a: Definition, b: Definition) {
+  const aSegments = a.path.split(` `);
+  const bSegments = b.path.split(` `);
+
+  return a !== b && aSegments.length > 1 && bSegments.length > 1 && aSegments[1] === bSegments[1];
+}
+
+function makeCommandPage(definition: Definition, definitions: Array<Definition>): MarkdownPage {
+  const {path: commandPath, usage, description, details, examples = [], options} = definition;
+  const pagePath = getPagePath(definition);
+
+  const lines = formatFrontmatter([
+    [`id`, slugify(commandPath)],
+    [`title`, commandPath],
+    [`description`, description?.trim()],
+    [`category`, getCategory(definition)],
+  ]);
+
+  lines.push(``, `# \`${commandPath}\``);
+
+  if (typeof description !== `undefined`)
+    lines.push(``, description.trim());
+
+  lines.push(``, `## Usage`, ``, `\`\`\``, `$ ${usage}`, `\`\`\``);
+
+  if (typeof details !== `undefined`)
+    lines.push(``, details.trim());
+
+  if (options.length > 0) {
+    lines.push(``, `## Options`, ``, `| Definition | Description |`, `| --- | --- |`);
+
+    for (const option of options) {
+      const optionDescription = option.description?.trim() ?? ``;
+
+      const cell = typeof option.env !== `undefined`
+        ? `${optionDescription}${optionDescription !== `` ? ` ` : ``}[env: \`${option.env}\`]`
+        : optionDescription;
+
+      lines.push(`| \`${formatCell(option.definition)}\` | ${formatCell(cell)} |`);
+    }
+  }
+
+  if (examples.length > 0) {
+    lines.push(``, `## Examples`);
+
+    for (const [label, command] of examples) {
+      lines.push(``, `${label.trim()}:`, ``, `\`\`\``, `$ ${command}`, `\`\`\``);
+    }
+  }
+
+  const relatedDefinitions = definitions.filter(other => isRelated(definition, other));
+
+  if (relatedDefinitions.length > 0) {
+    lines.push(``, `## See also`, ``);
+
+    for (const related of relatedDefinitions) {
+      lines.push(`- [\`${related.path}\`](${getLink(pagePath, getPagePath(related))})`);
+    }
+  }
+
+  return {path: pagePath, content: `${lines.join(`\n`)}\n`};
+}
+
+function makeIndexPage(definitions: Array<Definition>, {binaryName, binaryLabel}: MarkdownOptions): MarkdownPage {
+  const lines = formatFrontmatter([
+    [`id`, `index`],
+    [`title`, binaryLabel ?? binaryName],
+  ]);
+
+  lines.push(``, `# ${binaryLabel ?? binaryName}`);
+
+  const categories = [...new Set(definitions.map(getCategory))].sort((a, b) => {
+    if (a === GENERAL_CATEGORY) return -1;
+    if (b === GENERAL_CATEGORY) return +1;
+    return a.localeCompare(b, `en`);
+  });
+
+  for (const category of categories) {
+    lines.push(``, `## ${category}`, ``);
+
+    for (const definition of definitions) {
+      if (getCategory(definition) !== category)
+        continue;
+
+      const suffix = typeof definition.description !== `undefined`
+        ? `: ${definition.description.trim()}`
+        : ``;
+
+      lines.push(`- [\`${definition.path}\`](${getPagePath(definition)})${suffix}`);
+    }
+  }
+
+  return {path: `index.md`, content: `${lines.join(`\n`)}\n`};
+}
+
+/**
+ * Generates one Markdown page per documented command, grouped into one
+ * directory per category, plus an `index.md` page listing them all. The
+ * output only depends on the definitions, so that it can be committed and
+ * diffed.
+ */
+export function generateMarkdown(definitions: Array<Definition>, opts: MarkdownOptions): Array<MarkdownPage> {
+  const sortedDefinitions = definitions.slice().sort((a, b) => {
+    return a.path.localeCompare(b.path, `en`);
+  });
+
+  const pages = [makeIndexPage(sortedDefinitions, opts)];
+
+  for (const definition of sortedDefinitions)
+    pages.push(makeCommandPage(definition, sortedDefinitions));
+
+  return pages;
+}
+
+/**
+ * Writes the pages into the given directory, creating the category
+ * directories as needed, and returns the paths of the written files.
+ */
+export function writeMarkdown(pages: Array<MarkdownPage>, outputDir: string) {
+  const writtenPaths = [];
+
+  for (const page of pages) {
+    const pagePath = path.join(outputDir, page.path);
+
+    fs.mkdirSync(path.dirname(pagePath), {recursive: true});
+    fs.writeFileSync(pagePath, page.content);
+
+    writtenPaths.push(pagePath);
+  }
+
+  return writtenPaths;
+}
@@ -0,0 +1,119 @@
+import {BaseContext}           from './Cli';
+import {Command, CommandClass} from './Command';
+
+/**
+ * The information passed to the middleware hooks.
+ */
+export type MiddlewareInfo<Context extends BaseContext = BaseContext> = {
+  command: Command<Context>;
+  commandClass: CommandClass<Context>;
+
+  /**
+   * The path that got used to access the command (`[\`workspace\`, \`list\`]`).
+   */
+  path: Array<string>;
+
+  context: Context;
+};
+
+/**
+ * A set of hooks called around the execution of the commands. All hooks are
+ * optional, and may be asynchronous.
+ *
+ * The middlewares are nested in the order they were registered: the first
+ * one registered is the outermost, so its `before` hook is called first and
+ * its `after` hook is called last.
+ */
+export type Middleware<Context extends BaseContext = BaseContext> = {
+  /**
+   * Used by the commands to opt out of the middleware (see
+   * `Command.skipMiddlewares`).
+   */
+  name?: string;
+
+  /**
+   * Called before the command is validated and executed. Returning a number
+   * skips the execution (along with the inner middlewares) and uses it as
+   * exit code.
+   */
+  before?: (info: MiddlewareInfo<Context>) => Promise<number | void> | number | void;
+
+  /**
+   * Wraps the execution of the command, which is triggered by calling
+   * `next`. Must return the exit code.
+   */
+  around?: (info: MiddlewareInfo<Context>, next: () => Promise<number>) => Promise<number>;
+
+  /**
+   * Called after the command returned. Returning a number overrides the
+   * exit code.
+   */
+  after?: (info: MiddlewareInfo<Context>, exitCode: number) => Promise<number | void> | number | void;
+
+  /**
+   * Called when the command (or an inner middleware) throws. Returning a
+   * number recovers from the error and uses it as exit code, returning an
+   * `Error` throws it in place of the original one, and returning nothing
+   * rethrows the original error.
+   */
+  error?: (info: MiddlewareInfo<Context>, error: any) => Promise<number | Error | void> | number | Error | void;
+};
+
+function wrap<Context extends BaseContext>(middleware: Middleware<Context>, info: MiddlewareInfo<Context>, next: () => Promise<number>) {
+  return async () => {
+    if (typeof middleware.before !== `undefined`) {
+      const exitCode = await middleware.before(info);
+      if (typeof exitCode === `number`) {
+        return exitCode;
+      }
+    }
+
+    let exitCode: number;
+    try {
+      exitCode = typeof middleware.around !== `undefined`
+        ? await middleware.around(info, next)
+        : await next();
+    } catch (error) {
+      if (typeof middleware.error === `undefined`)
+        throw error;
+
+      const result = await middleware.error(info, error);
+      if (typeof result === `number`)
+        return result;
+
+      throw result instanceof Error ? result : error;
+    }
+
+    if (typeof middleware.after !== `undefined`) {
+      const overriddenExitCode = await middleware.after(info, exitCode);
+      if (typeof overriddenExitCode === `number`) {
+        exitCode = overriddenExitCode;
+      }
+    }
+
+    return exitCode;
+  };
+}
+
+/**
+ * Runs the execution through the middlewares that the command didn't opt
+ * out of.
+ */
+export function applyMiddlewares<Context extends BaseContext>(middlewares: Array<Middleware<Context>>, info: MiddlewareInfo<Context>, execute: () => Promise<number>) {
+  const {skipMiddlewares} = info.commandClass;
+
+  const applicableMiddlewares = middlewares.filter(middleware => {
+    if (skipMiddlewares === true)
+      return false;
+    if (Array.isArray(skipMiddlewares) && typeof middleware.name !== `undefined`)
+      return !skipMiddlewares.includes(middleware.name);
+
+    return true;
+  });
+
+  let next = execute;
+  for (const middleware of applicableMiddlewares.reverse())
+    next = wrap(middleware, info, next);
+
+  return next();
+}
@@ -0,0 +1,189 @@
+import {Readable, Writable} from 'stream';
+
+import {UsageError}         from '../errors';
+
+import {PromptRequest}      from './options/utils';
+
+type TtyReadable = Readable & {
+  isTTY?: boolean;
+  setRawMode?: (mode: boolean) => void;
+};
+
+/**
+ * Returns whether the user can be prompted through the given input stream.
+ * The prompts never fire when the input isn't a terminal, since nobody
+ * would be there to answer them.
+ */
+export function isInteractive(stdin?: Readable) {
+  return typeof stdin !== `undefined` && (stdin as TtyReadable).isTTY === true;
+}
+
+/**
+ * Asks questions through the given streams. The characters read past the
+ * end of an answer are kept for the next question, so a single instance
+ * should be used for all the questions of a given run.
+ */
+export class Prompter {
+  private pending = ``;
+
+  constructor(private readonly stdin: Readable, private readonly stdout: Writable) {
+  }
+
+  async ask(request: PromptRequest): Promise<unknown> {
+    while (true) {
+      const answer = await this.read(request);
+      if (answer === null)
+        throw new UsageError(`Missing value for ${request.name}`);
+
+      try {
+        return request.parse(answer);
+      } catch (error) {
+        if (!(error instanceof UsageError))
+          throw error;
+
+        this.stdout.write(`${error.message}\n`);
+      }
+    }
+  }
+
+  private async read({type, message, choices = []}: PromptRequest): Promise<string | boolean | null> {
+    switch (type) {
+      case `confirm`: {
+        while (true) {
+          this.stdout.write(`${message} (y/n) `);
+
+          const answer = await this.readLine();
+          if (answer === null)
+            return null;
+
+          if (answer.match(/^y(es)?$/i))
+            return true;
+          if (answer.match(/^no?$/i)) {
+            return false;
+          }
+        }
+      } break;
+
+      case `select`: {
+        this.stdout.write(`${message}\n`);
+        for (let t = 0; t < choices.length; ++t)
+          this.stdout.write(`  ${t + 1}) ${choices[t]}\n`);
+
+        while (true) {
+          this.stdout.write(`Choice (1-${choices.length}): `);
+
+          const answer = await this.readLine();
+          if (answer === null)
+            return null;
+
+          // Both the index and the value itself are accepted
+          const index = parseInt(answer, 10);
+          if (String(index) === answer && index >= 1 && index <= choices.length)
+            return choices[index - 1];
+          if (choices.includes(answer)) {
+            return answer;
+          }
+        }
+      } break;
+
+      default: {
+        while (true) {
+          this.stdout.write(`${message}: `);
+
+          const answer = await this.readLine({mask: type === `password`});
+          if (answer !== ``) {
+            return answer;
+          }
+        }
+      } break;
+    }
+  }
+
+  /**
+   * Reads a line from the input. Returns `null` if the input ends, or if
+   * the user presses Ctrl-C while the terminal is in raw mode.
+   */
+  private readLine({mask = false}: {mask?: boolean} = {}) {
+    const stdin = this.stdin as TtyReadable;
+
+    // The terminal would otherwise echo the characters as they are typed
+    const useRawMode = mask && typeof stdin.setRawMode === `function`;
+    if (useRawMode)
+      stdin.setRawMode!(true);
+
+    return new Promise<string | null>(resolve => {
+      let line = ``;
+
+      const finish = (result: string | null) => {
+        stdin.off(`data`, onData);
+        stdin.off(`end`, onEnd);
+        stdin.pause();
+
+        if (useRawMode)
+          stdin.setRawMode!(false);
+        if (mask)
+          this.stdout.write(`\n`);
+
+        resolve(result);
+      };
+
+      const consume = () => {
+        while (this.pending.length > 0) {
+          const char = this.pending[0];
+          this.pending = this.pending.slice(1);
+
+          if (char === `\r` || char === `\n`) {
+            // Windows terminals send \r\n
+            if (char === `\r` && this.pending[0] === `\n`)
+              this.pending = this.pending.slice(1);
+
+            finish(line);
+            return true;
+          }
+
+          if (char === `\u0003`) {
+            finish(null);
+            return true;
+          }
+
+          if (char === `\u007f` || char === `\b`) {
+            if (mask && line.length > 0)
+              this.stdout.write(`\b \b`);
+
+            line = line.slice(0, -1);
+            continue;
+          }
+
+          line += char;
+          if (mask) {
+            this.stdout.write(`*`);
+          }
+        }
+
+        return false;
+      };
+
+      const onData = (data: Buffer | string) => {
+        this.pending += data.toString();
+        consume();
+      };
+
+      const onEnd = () => {
+        finish(null);
+      };
+
+      if (consume())
+        return;
+
+      // The end event won't be emitted again if the input already ended
+      if (stdin.readableEnded) {
+        finish(null);
+        return;
+      }
+
+      stdin.on(`data`, onData);
+      stdin.on(`end`, onEnd);
+      stdin.resume();
+    });
+  }
+}
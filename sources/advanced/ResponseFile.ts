@@ -0,0 +1,71 @@
+import fs                                                            from 'fs';
+import path                                                          from 'path';
+
+import {AmbiguousSyntaxError, ResponseFileError, UnknownSyntaxError} from '../errors';
+import {tokenize}                                                    from '../tokenize';
+
+/**
+ * Replaces the `@path` arguments by the arguments listed in the matching
+ * files, resolved relative to `cwd`. The files follow the quoting rules of
+ * the shells (see `tokenize`), and may reference other response files.
+ *
+ * Arguments whose file doesn't exist are kept as-is (so that `@scope/name`
+ * keeps working), as are the arguments following `--`.
+ */
+export function expandResponseFiles(input: Array<string>, {cwd}: {cwd: string}) {
+  const expanded: Array<string> = [];
+  let inhibited = false;
+
+  const expand = (tokens: Array<string>, stack: Array<string>) => {
+    for (const token of tokens) {
+      if (token === `--`)
+        inhibited = true;
+
+      if (inhibited || !token.startsWith(`@`) || token.length === 1) {
+        expanded.push(token);
+        continue;
+      }
+
+      const filePath = path.resolve(cwd, token.slice(1));
+      if (stack.includes(filePath))
+        throw new ResponseFileError(filePath, `Circular reference (${[...stack, filePath].join(` → `)})`);
+
+      let content;
+      try {
+        content = fs.readFileSync(filePath, `utf8`);
+      } catch (error) {
+        if (error.code !== `ENOENT`)
+          throw new ResponseFileError(filePath, error.message);
+
+        expanded.push(token);
+        continue;
+      }
+
+      let fileTokens;
+      try {
+        fileTokens = tokenize(content);
+      } catch (error) {
+        throw new ResponseFileError(filePath, error.message);
+      }
+
+      expand(fileTokens, [...stack, filePath]);
+    }
+  };
+
+  expand(input, []);
+
+  return expanded;
+}
+
+/**
+ * The syntax errors are thrown with the expanded arguments; this rebuilds
+ * them so that they mention the arguments as they were typed.
+ */
+export function withOriginalInput(error: any, input: Array<string>) {
+  if (error instanceof UnknownSyntaxError)
+    return new UnknownSyntaxError(input, error.candidates, error.suggestions);
+  if (error instanceof AmbiguousSyntaxError)
+    return new AmbiguousSyntaxError(input, error.usages);
+
+  return error;
+}
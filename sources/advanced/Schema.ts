@@ -0,0 +1,44 @@
+import {CommandOption, JsonSchema} from './options/utils';
+
+/**
+ * Generates the JSON Schema describing the properties of a command, as
+ * computed from the command line. Each property carries an `x-clipanion`
+ * keyword describing how it's set (option names, arity, positional kind,
+ * ...), which regular JSON Schema validators will ignore.
+ */
+export function generateSchema({path, description, paths, specs}: {path: string, description?: string, paths: Array<Array<string>>, specs: Map<string, CommandOption<unknown>>}): JsonSchema {
+  const properties: Record<string, JsonSchema> = {};
+  const required: Array<string> = [];
+
+  for (const [key, spec] of specs) {
+    // Custom options don't necessarily describe themselves
+    if (typeof spec.schema === `undefined`) {
+      properties[key] = {};
+      continue;
+    }
+
+    const {value, description, default: defaultValue, ...meta} = spec.schema(key);
+
+    properties[key] = {
+      ...value,
+      ...typeof description !== `undefined` ? {description} : {},
+      ...typeof defaultValue !== `undefined` ? {default: defaultValue} : {},
+      [`x-clipanion`]: meta,
+    };
+
+    if (meta.required === true || (typeof meta.required === `number` && meta.required > 0)) {
+      required.push(key);
+    }
+  }
+
+  return {
+    $schema: `http://json-schema.org/draft-07/schema#`,
+    title: path,
+    ...typeof description !== `undefined` ? {description} : {},
+    type: `object`,
+    properties,
+    required,
+    additionalProperties: false,
+    [`x-clipanion`]: {paths},
+  };
+}
@@ -0,0 +1,90 @@
+import {UsageError} from '../../errors';
+import {Command}    from '../Command';
+import * as Option  from '../options';
+
+const shells: {[shell: string]: (binaryName: string, functionName: string) => Array<string>} = {
+  bash: (binaryName, functionName) => [
+    `_${functionName}_completions() {`,
+    `  local IFS=$'\\n'`,
+    `  COMPREPLY=($(${binaryName} --clipanion=complete "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null))`,
+    `}`,
+    ``,
+    `complete -o default -F _${functionName}_completions ${binaryName}`,
+  ],
+
+  zsh: (binaryName, functionName) => [
+    `#compdef ${binaryName}`,
+    ``,
+    `_${functionName}() {`,
+    `  local -a candidates`,
+    `  candidates=(\${(f)"$(${binaryName} --clipanion=complete "\${(@)words[2,$CURRENT]}" 2>/dev/null)"})`,
+    `  compadd -- $candidates`,
+    `}`,
+    ``,
+    `compdef _${functionName} ${binaryName}`,
+  ],
+
+  fish: (binaryName, functionName) => [
+    `function __${functionName}_complete`,
+    `  set -l tokens (commandline -opc)`,
+    `  set -l current (commandline -ct)`,
+    `  ${binaryName} --clipanion=complete $tokens[2..-1] "$current" 2>/dev/null`,
+    `end`,
+    ``,
+    `complete -c ${binaryName} -a '(__${functionName}_complete)'`,
+  ],
+};
+
+/**
+ * A command that prints a completion script for the requested shell
+ * (`bash`, `zsh`, or `fish`). The script calls back into the binary
+ * through `Builtins.CompletionRequestCommand`, which must be registered
+ * as well.
+ *
+ * Paths: `--clipanion=completion`
+ *
+ * @example
+ * source <(my-cli --clipanion=completion bash)
+ */
+export class CompletionCommand extends Command<any> {
+  static paths = [[`--clipanion=completion`]];
+
+  shell = Option.String();
+
+  async execute() {
+    if (!Object.prototype.hasOwnProperty.call(shells, this.shell))
+      throw new UsageError(`Unsupported shell "${this.shell}" (expected one of ${Object.keys(shells).join(`, `)})`);
+
+    const functionName = this.cli.binaryName.replace(/[^a-zA-Z0-9_]/g, `_`);
+    const script = shells[this.shell](this.cli.binaryName, functionName);
+
+    this.context.stdout.write(`${script.join(`\n`)}\n`);
+  }
+}
+
+/**
+ * A command that prints the completion candidates for the last argument it
+ * receives, one per line. It's the endpoint the completion scripts call,
+ * and isn't meant to be used directly.
+ *
+ * Paths: `--clipanion=complete`
+ */
+export class CompletionRequestCommand extends Command<any> {
+  static paths = [[`--clipanion=complete`]];
+
+  words = Option.Proxy();
+
+  async execute() {
+    let candidates: Array<string>;
+    try {
+      candidates = await this.cli.complete(this.words);
+    } catch {
+      // A failing completion provider shouldn't print garbage in the shell
+      return;
+    }
+
+    for (const candidate of candidates) {
+      this.context.stdout.write(`${candidate}\n`);
+    }
+  }
+}
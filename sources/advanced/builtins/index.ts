@@ -1,3 +1,7 @@
+export * from './completion';
 export * from './definitions';
 export * from './help';
+export * from './manpage';
+export * from './markdown';
+export * from './schema';
 export * from './version';
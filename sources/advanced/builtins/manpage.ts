@@ -0,0 +1,50 @@
+import fs           from 'fs';
+import path         from 'path';
+
+import {UsageError} from '../../errors';
+import {Command}    from '../Command';
+import * as Option  from '../options';
+
+/**
+ * A command that prints the manual page of the command matching the path
+ * it receives, or the index page if none. With `--output`, it instead
+ * writes all the pages into the specified directory.
+ *
+ * Paths: `--clipanion=manpage`
+ *
+ * @example
+ * man <(my-cli --clipanion=manpage install)
+ * my-cli --clipanion=manpage --output man/man1
+ */
+export class ManpageCommand extends Command<any> {
+  static paths = [[`--clipanion=manpage`]];
+
+  output = Option.String(`--output`);
+  section = Option.String(`--section`);
+
+  path = Option.Rest();
+
+  async execute() {
+    const pages = this.cli.manpages({section: this.section});
+
+    if (typeof this.output !== `undefined`) {
+      const outputDir = path.resolve(this.context.cwd ?? process.cwd(), this.output);
+      fs.mkdirSync(outputDir, {recursive: true});
+
+      for (const page of pages) {
+        const pagePath = path.join(outputDir, `${page.name}.${page.section}`);
+        fs.writeFileSync(pagePath, page.content);
+
+        this.context.stdout.write(`${pagePath}\n`);
+      }
+    } else {
+      const name = [this.cli.binaryName, ...this.path].join(`-`);
+
+      const page = pages.find(page => page.name === name);
+      if (typeof page === `undefined`)
+        throw new UsageError(`No manual page found for "${[this.cli.binaryName, ...this.path].join(` `)}"`);
+
+      this.context.stdout.write(page.content);
+    }
+  }
+}
@@ -0,0 +1,28 @@
+import path        from 'path';
+
+import {Command}   from '../Command';
+import * as Option from '../options';
+
+/**
+ * A command that writes the Markdown documentation of the registered
+ * commands into the specified directory, and prints the paths of the
+ * written files.
+ *
+ * Paths: `--clipanion=markdown`
+ *
+ * @example
+ * my-cli --clipanion=markdown --output docs/cli
+ */
+export class MarkdownCommand extends Command<any> {
+  static paths = [[`--clipanion=markdown`]];
+
+  output = Option.String(`--output`, {required: true});
+
+  async execute() {
+    const outputDir = path.resolve(this.context.cwd ?? process.cwd(), this.output);
+
+    for (const pagePath of this.cli.writeMarkdown(outputDir)) {
+      this.context.stdout.write(`${pagePath}\n`);
+    }
+  }
+}
@@ -0,0 +1,13 @@
+import {Command} from '../Command';
+
+/**
+ * A command that prints the JSON Schemas of the registered commands.
+ *
+ * Paths: `--clipanion=schema`
+ */
+export class SchemaCommand extends Command<any> {
+  static paths = [[`--clipanion=schema`]];
+  async execute() {
+    this.context.stdout.write(`${JSON.stringify(this.cli.schemas(), null, 2)}\n`);
+  }
+}
@@ -1,10 +1,22 @@
 export {Command} from './Command';
 
-export {BaseContext, Cli, CliOptions} from './Cli';
+export {BaseContext, Cli, CliOptions, ErrorFormat, ReplOptions} from './Cli';
 export {CommandClass, Usage, Definition} from './Command';
+export {Manpage} from './Manpage';
+export {MarkdownPage} from './Markdown';
+export {Middleware, MiddlewareInfo} from './Middleware';
 
-export {UsageError, ErrorMeta, ErrorWithMeta} from '../errors';
+export {CompletionProvider, OptionConstraint} from '../core';
+
+export {ColorDepth, ColorFormat, ColorTheme, getColorDepth} from '../format';
+
+export {AmbiguousSyntaxError, ConfigError, ResponseFileError, TokenizeError, UnknownSyntaxError, UsageError, ErrorMeta, ErrorReport, ErrorWithMeta, EX_NOT_FOUND, EX_USAGE} from '../errors';
+
+export {tokenize} from '../tokenize';
+
+export {JsonSchema, OptionSchema, OptionSource, PromptFlags, PromptRequest} from './options/utils';
 
 export * as Builtins from './builtins';
+export * as Config from './Config';
 export * as Option from './options';
 
@@ -1,13 +1,21 @@
-import {GeneralOptionFlags, CommandOptionReturn, rerouteArguments, makeCommandOption, WithArity} from "./utils";
+import {CompletionProvider}                                                                                                                                           from "../../core";
+
+import {GeneralOptionFlags, CommandOptionReturn, getConfigName, getEnvironmentName, getFallbackValue, rerouteArguments, makeCommandOption, splitArguments, WithArity} from "./utils";
 
 export type ArrayFlags<Arity extends number = 1> = GeneralOptionFlags & {
   arity?: Arity,
+  complete?: CompletionProvider,
 };
 
 /**
  * Used to annotate array options. Such options will be strings unless they
  * are provided a schema, which will then be used for coercion.
  *
+ * If an `env` setting is provided (or derived from the `envPrefix` of the
+ * Cli), the option will fallback to the whitespace-separated values of the
+ * environment variable when absent, then to the list from the configuration
+ * of the Cli.
+ *
  * @example
  * --foo hello --foo bar
  *     ► {"foo": ["hello", "world"]}
@@ -32,19 +40,53 @@ export function Array<Arity extends number = 1>(descriptor: string, initialValue
         hidden: opts?.hidden,
         description: opts?.description,
         required: opts.required,
+
+        complete: opts.complete,
+        env: getEnvironmentName(builder, optNames, opts.env),
+        config: getConfigName(optNames, opts.config),
       });
     },
 
-    transformer(builder, key, state) {
+    schema() {
+      const items = arity === 0
+        ? {type: `boolean`}
+        : arity === 1
+          ? {type: `string`}
+          : {type: `array`, items: {type: `string`}, minItems: arity, maxItems: arity};
+
+      return {
+        kind: `option`,
+        names: optNames,
+        arity,
+        hidden: opts.hidden ?? false,
+        required: opts.required ?? false,
+        description: opts.description,
+        default: initialValue,
+        value: {type: `array`, items},
+      };
+    },
+
+    transformer(builder, key, state, context) {
       let currentValue = typeof initialValue !== `undefined`
         ? [...initialValue]
         : undefined;
 
+      const fallback = getFallbackValue(builder, optNames, opts, context);
+      const isSetFromArgv = state.options.some(({name}) => nameSet.has(name));
+
+      // Values from the command line replace the fallback ones rather than
+      // extending them
+      if (fallback !== null && !isSetFromArgv) {
+        currentValue = splitArguments(fallback.label, fallback.value, arity) as Array<WithArity<string, Arity>>;
+        context.setSource(fallback.source);
+      }
+
       for (const {name, value} of state.options) {
         if (!nameSet.has(name))
           continue;
 
         currentValue = currentValue ?? [];
+        context.setSource({type: `argv`, name});
         currentValue.push(value);
       }
 
@@ -1,10 +1,17 @@
-import {CommandOptionReturn, GeneralOptionFlags, makeCommandOption, rerouteArguments} from "./utils";
+import {CommandOptionReturn, GeneralOptionFlags, getConfigName, getEnvironmentName, getFallbackValue, getPromptSettings, makeCommandOption, parseBoolean, PromptFlags, rerouteArguments} from "./utils";
 
-export type BooleanFlags = GeneralOptionFlags;
+export type BooleanFlags = GeneralOptionFlags & {
+  prompt?: PromptFlags,
+};
 
 /**
  * Used to annotate boolean options.
  *
+ * If an `env` setting is provided (or derived from the `envPrefix` of the
+ * Cli), the option will fallback to the value of the environment variable
+ * (parsed as `1`, `true`, `yes`, `on`, or their opposites) when absent,
+ * then to the configuration of the Cli.
+ *
  * @example
  * --foo --no-bar
  *     ► {"foo": true, "bar": false}
@@ -29,17 +36,47 @@ export function Boolean(descriptor: string, initialValueBase: BooleanFlags | boo
         hidden: opts.hidden,
         description: opts.description,
         required: opts.required,
+
+        env: getEnvironmentName(builder, optNames, opts.env),
+        config: getConfigName(optNames, opts.config),
       });
     },
 
-    transformer(builer, key, state) {
+    schema() {
+      return {
+        kind: `option`,
+        names: optNames,
+        arity: 0,
+        hidden: opts.hidden ?? false,
+        required: opts.required ?? false,
+        description: opts.description,
+        default: initialValue,
+        value: {type: `boolean`},
+      };
+    },
+
+    prompt() {
+      if (!opts.required)
+        return null;
+
+      return {type: `confirm`, ...getPromptSettings(optNames, opts), parse: answer => answer};
+    },
+
+    transformer(builder, key, state, context) {
       let currentValue = initialValue;
 
+      const fallback = getFallbackValue(builder, optNames, opts, context);
+      if (fallback !== null) {
+        currentValue = parseBoolean(fallback.label, fallback.value);
+        context.setSource(fallback.source);
+      }
+
       for (const {name, value} of state.options) {
         if (!nameSet.has(name))
           continue;
 
         currentValue = value;
+        context.setSource({type: `argv`, name});
       }
 
       return currentValue;
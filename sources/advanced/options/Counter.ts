@@ -1,11 +1,31 @@
-import {CommandOptionReturn, GeneralOptionFlags, makeCommandOption, rerouteArguments} from "./utils";
+import {UsageError}                                                                                                                                      from "../../errors";
+
+import {CommandOptionReturn, GeneralOptionFlags, getConfigName, getEnvironmentName, getFallbackValue, makeCommandOption, parseBoolean, rerouteArguments} from "./utils";
 
 export type CounterFlags = GeneralOptionFlags;
 
+function parseCount(name: string, value: unknown) {
+  if (typeof value === `number` && Number.isInteger(value) && value >= 0)
+    return value;
+  if (typeof value === `string` && value.match(/^[0-9]+$/))
+    return parseInt(value, 10);
+
+  try {
+    return parseBoolean(name, value) ? 1 : 0;
+  } catch {
+    throw new UsageError(`Invalid value for ${name}: expected a number or a boolean (got ${JSON.stringify(value)})`);
+  }
+}
+
 /**
  * Used to annotate options whose repeated values are aggregated into a
  * single number.
  *
+ * If an `env` setting is provided (or derived from the `envPrefix` of the
+ * Cli), the counter will use the value of the environment variable (either a
+ * number or a boolean) when the flag is absent, then the configuration of
+ * the Cli.
+ *
  * @example
  * -vvvvv
  *     ► {"v": 5}
@@ -30,17 +50,44 @@ export function Counter(descriptor: string, initialValueBase: CounterFlags | num
         hidden: opts.hidden,
         description: opts.description,
         required: opts.required,
+
+        env: getEnvironmentName(builder, optNames, opts.env),
+        config: getConfigName(optNames, opts.config),
       });
     },
 
-    transformer(builder, key, state) {
+    schema() {
+      return {
+        kind: `option`,
+        names: optNames,
+        arity: 0,
+        hidden: opts.hidden ?? false,
+        required: opts.required ?? false,
+        description: opts.description,
+        default: initialValue,
+        value: {type: `integer`, minimum: 0},
+      };
+    },
+
+    transformer(builder, key, state, context) {
       let currentValue = initialValue;
 
+      const fallback = getFallbackValue(builder, optNames, opts, context);
+      const isSetFromArgv = state.options.some(({name}) => nameSet.has(name));
+
+      // Flags from the command line replace the fallback value rather than
+      // incrementing it
+      if (fallback !== null && !isSetFromArgv) {
+        currentValue = parseCount(fallback.label, fallback.value);
+        context.setSource(fallback.source);
+      }
+
       for (const {name, value} of state.options) {
         if (!nameSet.has(name))
           continue;
 
         currentValue ??= 0;
+        context.setSource({type: `argv`, name});
 
         // Negated options reset the counter
         if (!value) {
@@ -0,0 +1,111 @@
+import {CompletionProvider, rankSuggestions}                                                                                                                                            from "../../core";
+import {UsageError}                                                                                                                                                                     from "../../errors";
+
+import {CommandOptionReturn, GeneralOptionFlags, getConfigName, getEnvironmentName, getFallbackValue, getPromptSettings, makeCommandOption, parseString, PromptFlags, rerouteArguments} from "./utils";
+
+export type EnumFlags = GeneralOptionFlags & {
+  complete?: CompletionProvider,
+  prompt?: PromptFlags,
+};
+
+function parseChoice<T extends string>(name: string, value: string, choices: ReadonlyArray<T>) {
+  if (choices.includes(value as T))
+    return value as T;
+
+  const list = choices.map(choice => JSON.stringify(choice)).join(`, `);
+  const [suggestion] = rankSuggestions(value, choices);
+
+  const hint = typeof suggestion !== `undefined`
+    ? `; did you mean ${JSON.stringify(suggestion)}?`
+    : ``;
+
+  throw new UsageError(`Invalid value for ${name}: expected one of ${list} (got ${JSON.stringify(value)})${hint}`);
+}
+
+/**
+ * Used to annotate string options whose value must be one of a fixed set
+ * of choices. The option is typed as the union of the choices, which are
+ * listed in the detailed usage and offered by the completion.
+ *
+ * @example
+ * --format=yaml
+ *     ► {"format": "yaml"}
+ */
+export function Enum<T extends string>(descriptor: string, choices: ReadonlyArray<T>, opts: EnumFlags & {required: true}): CommandOptionReturn<T>;
+export function Enum<T extends string>(descriptor: string, choices: ReadonlyArray<T>, opts?: EnumFlags): CommandOptionReturn<T | undefined>;
+export function Enum<T extends string>(descriptor: string, choices: ReadonlyArray<T>, initialValue: T, opts?: Omit<EnumFlags, 'required'>): CommandOptionReturn<T>;
+export function Enum<T extends string>(descriptor: string, choices: ReadonlyArray<T>, initialValueBase: EnumFlags | T | undefined, optsBase?: EnumFlags) {
+  const [initialValue, opts] = rerouteArguments(initialValueBase, optsBase ?? {});
+
+  if (choices.length === 0)
+    throw new Error(`Enum options must accept at least one choice`);
+
+  const optNames = descriptor.split(`,`);
+  const nameSet = new Set(optNames);
+
+  return makeCommandOption({
+    definition(builder) {
+      builder.addOption({
+        names: optNames,
+
+        arity: 1,
+
+        hidden: opts.hidden,
+        description: opts.description,
+        required: opts.required,
+
+        complete: opts.complete ?? (() => [...choices]),
+        env: getEnvironmentName(builder, optNames, opts.env),
+        config: getConfigName(optNames, opts.config),
+        choices: [...choices],
+      });
+    },
+
+    schema() {
+      return {
+        kind: `option`,
+        names: optNames,
+        arity: 1,
+        hidden: opts.hidden ?? false,
+        required: opts.required ?? false,
+        description: opts.description,
+        default: initialValue,
+        value: {type: `string`, enum: [...choices]},
+      };
+    },
+
+    prompt() {
+      if (!opts.required)
+        return null;
+
+      const settings = getPromptSettings(optNames, opts);
+      return {type: `select`, ...settings, choices: [...choices], parse: answer => parseChoice(settings.name, String(answer), choices)};
+    },
+
+    transformer(builder, key, state, context) {
+      let usedName;
+      let currentValue: string | undefined = initialValue;
+
+      const fallback = getFallbackValue(builder, optNames, opts, context);
+      if (fallback !== null) {
+        usedName = fallback.label;
+        currentValue = parseString(fallback.label, fallback.value);
+        context.setSource(fallback.source);
+      }
+
+      for (const {name, value} of state.options) {
+        if (!nameSet.has(name))
+          continue;
+
+        usedName = name;
+        currentValue = value;
+        context.setSource({type: `argv`, name});
+      }
+
+      if (typeof currentValue === `undefined`)
+        return undefined;
+
+      return parseChoice(usedName ?? key, currentValue, choices);
+    },
+  });
+}
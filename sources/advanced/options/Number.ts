@@ -0,0 +1,226 @@
+import {CompletionProvider, NoLimits}                                                                                                                                                                            from "../../core";
+
+import {CommandOptionReturn, GeneralOptionFlags, getConfigName, getEnvironmentName, getFallbackValue, getPromptSettings, JsonSchema, makeCommandOption, NumberRange, parseNumber, PromptFlags, rerouteArguments} from "./utils";
+
+export type NumberFlags = GeneralOptionFlags & NumberRange & {
+  complete?: CompletionProvider,
+  prompt?: PromptFlags,
+};
+
+export type NumberPositionalFlags = NumberRange & {
+  complete?: CompletionProvider,
+  name?: string,
+  prompt?: PromptFlags,
+  required?: boolean,
+};
+
+function getNumberSchema({min, max, step}: NumberRange, integer: boolean) {
+  const schema: JsonSchema = {type: integer ? `integer` : `number`};
+
+  if (typeof min !== `undefined`)
+    schema.minimum = min;
+  if (typeof max !== `undefined`)
+    schema.maximum = max;
+
+  // JSON Schema only supports increments starting from 0
+  if (typeof step !== `undefined` && (min ?? 0) % step === 0)
+    schema.multipleOf = step;
+
+  return schema;
+}
+
+function NumberOption(descriptor: string, initialValueBase: NumberFlags | number | undefined, optsBase: NumberFlags | undefined, integer: boolean) {
+  const [initialValue, opts] = rerouteArguments(initialValueBase, optsBase ?? {});
+  const {min, max, step} = opts;
+
+  const optNames = descriptor.split(`,`);
+  const nameSet = new Set(optNames);
+
+  return makeCommandOption({
+    definition(builder) {
+      builder.addOption({
+        names: optNames,
+
+        arity: 1,
+
+        hidden: opts.hidden,
+        description: opts.description,
+        required: opts.required,
+
+        complete: opts.complete,
+        env: getEnvironmentName(builder, optNames, opts.env),
+        config: getConfigName(optNames, opts.config),
+        range: {min, max, step},
+      });
+    },
+
+    schema() {
+      return {
+        kind: `option`,
+        names: optNames,
+        arity: 1,
+        hidden: opts.hidden ?? false,
+        required: opts.required ?? false,
+        description: opts.description,
+        default: initialValue,
+        value: getNumberSchema(opts, integer),
+      };
+    },
+
+    prompt() {
+      if (!opts.required)
+        return null;
+
+      const settings = getPromptSettings(optNames, opts);
+      return {type: `text`, ...settings, parse: answer => parseNumber(settings.name, answer, {integer, min, max, step})};
+    },
+
+    transformer(builder, key, state, context) {
+      let usedName;
+      let currentValue: unknown = initialValue;
+
+      const fallback = getFallbackValue(builder, optNames, opts, context);
+      if (fallback !== null) {
+        usedName = fallback.label;
+        currentValue = fallback.value;
+        context.setSource(fallback.source);
+      }
+
+      for (const {name, value} of state.options) {
+        if (!nameSet.has(name))
+          continue;
+
+        usedName = name;
+        currentValue = value;
+        context.setSource({type: `argv`, name});
+      }
+
+      // The initial value is returned as-is, even if outside of the range
+      if (typeof currentValue === `undefined` || typeof usedName === `undefined`)
+        return currentValue;
+
+      return parseNumber(usedName, currentValue, {integer, min, max, step});
+    },
+  });
+}
+
+function NumberPositional(opts: NumberPositionalFlags, integer: boolean) {
+  const {required = true, min, max, step} = opts;
+
+  return makeCommandOption({
+    definition(builder, key) {
+      builder.addPositional({
+        name: opts.name ?? key,
+        required: opts.required,
+
+        complete: opts.complete,
+        range: {min, max, step},
+      });
+    },
+
+    schema(key) {
+      return {
+        kind: `positional`,
+        name: opts.name ?? key,
+        required,
+        value: getNumberSchema(opts, integer),
+      };
+    },
+
+    prompt(key) {
+      if (!required)
+        return null;
+
+      const settings = getPromptSettings([opts.name ?? key], opts);
+      return {type: `text`, ...settings, parse: answer => parseNumber(settings.name, answer, {integer, min, max, step})};
+    },
+
+    transformer(builder, key, state, context) {
+      for (let i = 0; i < state.positionals.length; ++i) {
+        // Same logic as the string positionals: we only
+        // consume the positionals matching our requirement.
+        if (state.positionals[i].extra === NoLimits)
+          continue;
+        if (required && state.positionals[i].extra === true)
+          continue;
+        if (!required && state.positionals[i].extra === false)
+          continue;
+
+        const [positional] = state.positionals.splice(i, 1);
+        context.setSource({type: `argv`, name: opts.name ?? key});
+
+        return parseNumber(opts.name ?? key, positional.value, {integer, min, max, step});
+      }
+
+      return undefined;
+    },
+  });
+}
+
+/**
+ * Used to annotate positional options whose value is a number. The
+ * `min`, `max`, and `step` settings restrict the accepted values, and are
+ * displayed in the usage.
+ *
+ * Be careful: this function is order-dependent! Make sure to define your
+ * positional options in the same order you expect to find them on the
+ * command line.
+ */
+export function Number(): CommandOptionReturn<number>;
+export function Number(opts: NumberPositionalFlags & {required: false}): CommandOptionReturn<number | undefined>;
+export function Number(opts: NumberPositionalFlags): CommandOptionReturn<number>;
+
+/**
+ * Used to annotate options whose value is a number. The `min`, `max`, and
+ * `step` settings restrict the accepted values, and are displayed in the
+ * detailed usage.
+ *
+ * @example
+ * --ratio=0.5
+ *     ► {"ratio": 0.5}
+ */
+export function Number(descriptor: string, opts: NumberFlags & {required: true}): CommandOptionReturn<number>;
+export function Number(descriptor: string, opts?: NumberFlags): CommandOptionReturn<number | undefined>;
+export function Number(descriptor: string, initialValue: number, opts?: Omit<NumberFlags, 'required'>): CommandOptionReturn<number>;
+
+export function Number(descriptor?: string | NumberPositionalFlags, initialValueBase?: NumberFlags | number, optsBase?: NumberFlags) {
+  if (typeof descriptor === `string`) {
+    return NumberOption(descriptor, initialValueBase, optsBase, false);
+  } else {
+    return NumberPositional(descriptor ?? {}, false);
+  }
+}
+
+/**
+ * Used to annotate positional options whose value is an integer. The
+ * `min`, `max`, and `step` settings restrict the accepted values, and are
+ * displayed in the usage.
+ *
+ * Be careful: this function is order-dependent! Make sure to define your
+ * positional options in the same order you expect to find them on the
+ * command line.
+ */
+export function Integer(): CommandOptionReturn<number>;
+export function Integer(opts: NumberPositionalFlags & {required: false}): CommandOptionReturn<number | undefined>;
+export function Integer(opts: NumberPositionalFlags): CommandOptionReturn<number>;
+
+/**
+ * Used to annotate options whose value is an integer. The `min`, `max`,
+ * and `step` settings restrict the accepted values, and are displayed in
+ * the detailed usage.
+ *
+ * @example
+ * --max-retries 3
+ *     ► {"maxRetries": 3}
+ */
+export function Integer(descriptor: string, opts: NumberFlags & {required: true}): CommandOptionReturn<number>;
+export function Integer(descriptor: string, opts?: NumberFlags): CommandOptionReturn<number | undefined>;
+export function Integer(descriptor: string, initialValue: number, opts?: Omit<NumberFlags, 'required'>): CommandOptionReturn<number>;
+
+export function Integer(descriptor?: string | NumberPositionalFlags, initialValueBase?: NumberFlags | number, optsBase?: NumberFlags) {
+  if (typeof descriptor === `string`) {
+    return NumberOption(descriptor, initialValueBase, optsBase, true);
+  } else {
+    return NumberPositional(descriptor ?? {}, true);
+  }
+}
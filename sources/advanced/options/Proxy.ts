@@ -27,7 +27,19 @@ export function Proxy(opts: ProxyFlags = {}) {
       });
     },
 
-    transformer(builder, key, state) {
+    schema(key) {
+      return {
+        kind: `proxy`,
+        name: opts.name ?? key,
+        required: opts.required ?? 0,
+        value: {type: `array`, items: {type: `string`}, minItems: opts.required ?? 0},
+      };
+    },
+
+    transformer(builder, key, state, context) {
+      if (state.positionals.length > 0)
+        context.setSource({type: `argv`, name: opts.name ?? key});
+
       return state.positionals.map(({value}) => value);
     },
   });
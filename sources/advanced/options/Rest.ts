@@ -1,10 +1,11 @@
-import {NoLimits}          from '../../core';
+import {CompletionProvider, NoLimits} from '../../core';
 
-import {makeCommandOption} from "./utils";
+import {makeCommandOption}            from "./utils";
 
 export type RestFlags = {
   name?: string,
   required?: number,
+  complete?: CompletionProvider,
 };
 
 /**
@@ -26,10 +27,21 @@ export function Rest(opts: RestFlags = {}) {
       builder.addRest({
         name: opts.name ?? key,
         required: opts.required,
+
+        complete: opts.complete,
       });
     },
 
-    transformer(builder, key, state) {
+    schema(key) {
+      return {
+        kind: `rest`,
+        name: opts.name ?? key,
+        required: opts.required ?? 0,
+        value: {type: `array`, items: {type: `string`}, minItems: opts.required ?? 0},
+      };
+    },
+
+    transformer(builder, key, state, context) {
       // The builder's arity.extra will always be NoLimits,
       // because it is set when we call registerDefinition
 
@@ -51,6 +63,9 @@ export function Rest(opts: RestFlags = {}) {
       while (count < state.positionals.length && isRestPositional(count))
         count += 1;
 
+      if (count > 0)
+        context.setSource({type: `argv`, name: opts.name ?? key});
+
       return state.positionals.splice(0, count).map(({value}) => value);
     },
   });
@@ -1,17 +1,29 @@
-import {StrictValidator}                                                                                         from "typanion";
+import {StrictValidator}                                                                                                                                                                                                                                         from "typanion";
 
-import {NoLimits}                                                                                                from "../../core";
+import {CompletionProvider, NoLimits}                                                                                                                                                                                                                            from "../../core";
 
-import {applyValidator, CommandOptionReturn, GeneralOptionFlags, makeCommandOption, rerouteArguments, WithArity} from "./utils";
+import {applyValidator, CommandOptionReturn, GeneralOptionFlags, getConfigName, getEnvironmentName, getFallbackValue, getPromptSettings, getValidatorSchema, makeCommandOption, parseBoolean, parseString, parseTuple, PromptFlags, rerouteArguments, WithArity} from "./utils";
+
+export type StringPromptFlags = PromptFlags & {
+  /**
+   * If `true`, the characters typed by the user are masked (passwords,
+   * tokens, ...).
+   */
+  mask?: boolean,
+};
 
 export type StringOptionNoBoolean<T, Arity extends number = 1> = GeneralOptionFlags & {
   validator?: StrictValidator<unknown, T>,
+  complete?: CompletionProvider,
+  prompt?: StringPromptFlags,
   tolerateBoolean?: false,
   arity?: Arity,
 };
 
 export type StringOptionTolerateBoolean<T> = GeneralOptionFlags & {
   validator?: StrictValidator<unknown, T>,
+  complete?: CompletionProvider,
+  prompt?: StringPromptFlags,
   tolerateBoolean: boolean,
   arity?: 0,
 };
@@ -22,7 +34,9 @@ export type StringOption<T> =
 
 export type StringPositionalFlags<T> = {
   validator?: StrictValidator<unknown, T>,
+  complete?: CompletionProvider,
   name?: string,
+  prompt?: StringPromptFlags,
   required?: boolean,
 };
 
@@ -49,19 +63,68 @@ function StringOption<T = string, Arity extends number = 1>(descriptor: string,
         hidden: opts.hidden,
         description: opts.description,
         required: opts.required,
+
+        complete: opts.complete,
+        env: getEnvironmentName(builder, optNames, opts.env),
+        config: getConfigName(optNames, opts.config),
       });
     },
 
-    transformer(builder, key, state) {
+    schema() {
+      let value = getValidatorSchema(opts.validator);
+
+      // The validator only applies to single values, not to tuples
+      if (opts.tolerateBoolean)
+        value = {anyOf: [value, {type: `boolean`}]};
+      else if (arity > 1)
+        value = {type: `array`, items: {type: `string`}, minItems: arity, maxItems: arity};
+
+      return {
+        kind: `option`,
+        names: optNames,
+        arity: opts.tolerateBoolean ? 0 : arity,
+        hidden: opts.hidden ?? false,
+        required: opts.required ?? false,
+        description: opts.description,
+        default: initialValue,
+        value,
+      };
+    },
+
+    prompt() {
+      // Tuples and boolean-tolerant options can't be answered with a single string
+      if (!opts.required || opts.tolerateBoolean || arity !== 1)
+        return null;
+
+      const settings = getPromptSettings(optNames, opts);
+      return {type: opts.prompt?.mask ? `password` : `text`, ...settings, parse: answer => applyValidator(settings.name, answer, opts.validator)};
+    },
+
+    transformer(builder, key, state, context) {
       let usedName;
       let currentValue = initialValue;
 
+      const fallback = getFallbackValue(builder, optNames, opts, context);
+      if (fallback !== null) {
+        usedName = fallback.label;
+        context.setSource(fallback.source);
+
+        if (opts.tolerateBoolean && typeof fallback.value === `boolean`) {
+          currentValue = parseBoolean(fallback.label, fallback.value);
+        } else if (!opts.tolerateBoolean && arity > 1) {
+          currentValue = parseTuple(fallback.label, fallback.value, arity) as typeof initialValue;
+        } else {
+          currentValue = parseString(fallback.label, fallback.value);
+        }
+      }
+
       for (const {name, value} of state.options) {
         if (!nameSet.has(name))
           continue;
 
         usedName = name;
         currentValue = value;
+        context.setSource({type: `argv`, name});
       }
 
       if (typeof currentValue === `string`) {
@@ -84,10 +147,29 @@ function StringPositional<T = string>(opts: StringPositionalFlags<T> = {}) {
       builder.addPositional({
         name: opts.name ?? key,
         required: opts.required,
+
+        complete: opts.complete,
       });
     },
 
-    transformer(builder, key, state) {
+    schema(key) {
+      return {
+        kind: `positional`,
+        name: opts.name ?? key,
+        required,
+        value: getValidatorSchema(opts.validator),
+      };
+    },
+
+    prompt(key) {
+      if (!required)
+        return null;
+
+      const settings = getPromptSettings([opts.name ?? key], opts);
+      return {type: opts.prompt?.mask ? `password` : `text`, ...settings, parse: answer => applyValidator(settings.name, answer, opts.validator)};
+    },
+
+    transformer(builder, key, state, context) {
       for (let i = 0; i < state.positionals.length; ++i) {
         // We skip NoLimits extras. We only care about
         // required and optional finite positionals.
@@ -106,6 +188,7 @@ function StringPositional<T = string>(opts: StringPositionalFlags<T> = {}) {
 
         // We remove the positional from the list
         const [positional] = state.positionals.splice(i, 1);
+        context.setSource({type: `argv`, name: opts.name ?? key});
 
         return applyValidator(opts.name ?? key, positional.value, opts.validator);
       }
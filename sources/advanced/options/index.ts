@@ -1,6 +1,8 @@
 export * from './Array';
 export * from './Boolean';
 export * from './Counter';
+export * from './Enum';
+export * from './Number';
 export * from './Proxy';
 export * from './Rest';
 export * from './String';
@@ -3,11 +3,15 @@ import {Coercion, CoercionFn, StrictValidator} from 'typanion';
 import {CommandBuilder,  RunState}             from '../../core';
 import {UsageError}                            from '../../errors';
 import {BaseContext, CliContext}               from '../Cli';
+import {ConfigResult}                          from '../Config';
 
 export const isOptionSymbol = Symbol(`clipanion/isOption`);
+export const optionSourcesSymbol = Symbol(`clipanion/optionSources`);
 
 export type GeneralOptionFlags = {
+  config?: string | false,
   description?: string,
+  env?: string | false,
   hidden?: boolean,
   required?: boolean;
 };
@@ -32,10 +36,129 @@ export type WithArity<Type, Arity extends number> = Arity extends 0
       ? boolean | Type | Tuple<Type, Arity>
       : Tuple<Type, Arity>;
 
+/**
+ * Where the value of an option comes from. Options that aren't set in
+ * any way keep their initial value, and have the `default` source.
+ */
+export type OptionSource = {
+  type: `argv`;
+  name: string;
+} | {
+  type: `env`;
+  name: string;
+} | {
+  type: `config`;
+  name: string;
+  path: string;
+} | {
+  type: `prompt`;
+} | {
+  type: `default`;
+};
+
+export type TransformerContext = {
+  /**
+   * The environment variables from which the options can read their
+   * fallback values.
+   */
+  env: Record<string, string | undefined>;
+
+  /**
+   * Returns the configuration from which the options can read their
+   * fallback values, if any. It's only searched for on the first call, so
+   * that the commands not reading from it work even when it's broken.
+   */
+  getConfig: () => ConfigResult | null;
+
+  /**
+   * Records where the value returned by the transformer comes from.
+   */
+  setSource: (source: OptionSource) => void;
+};
+
+/**
+ * A JSON Schema, as a plain object.
+ */
+export type JsonSchema = {[key: string]: unknown};
+
+/**
+ * The machine-readable description of an option, from which the JSON
+ * Schema of the commands is generated.
+ */
+export type OptionSchema = {
+  kind: `option` | `positional` | `rest` | `proxy`;
+
+  /**
+   * The names of the option (options only).
+   */
+  names?: Array<string>;
+
+  /**
+   * The name displayed in the usage (positionals, rests, and proxies only).
+   */
+  name?: string;
+
+  arity?: number;
+  hidden?: boolean;
+
+  /**
+   * Whether the option must be set. For rests and proxies, the minimal
+   * number of arguments.
+   */
+  required: boolean | number;
+
+  description?: string;
+  default?: unknown;
+
+  /**
+   * The schema of the value assigned to the command property.
+   */
+  value: JsonSchema;
+};
+
+/**
+ * The settings of the interactive prompts, used when the prompts are
+ * enabled and a required option is missing from the command line.
+ */
+export type PromptFlags = {
+  /**
+   * The question asked to the user. Defaults to the description of the
+   * option, or to its name.
+   */
+  message?: string;
+};
+
+/**
+ * The question asked to obtain the value of a missing option.
+ */
+export type PromptRequest = {
+  type: `text` | `password` | `confirm` | `select`;
+
+  /**
+   * The name of the option, used in the error messages.
+   */
+  name: string;
+
+  message: string;
+
+  /**
+   * The values the user can pick from (`select` only).
+   */
+  choices?: Array<string>;
+
+  /**
+   * Turns the answer into the value of the option. Usage errors are
+   * reported to the user, who is then asked again.
+   */
+  parse: (answer: string | boolean) => unknown;
+};
+
 export type CommandOption<T> = {
   [isOptionSymbol]: true,
   definition: <Context extends BaseContext>(builder: CommandBuilder<CliContext<Context>>, key: string) => void,
-  transformer: <Context extends BaseContext>(builder: CommandBuilder<CliContext<Context>>, key: string, state: RunState) => T,
+  transformer: <Context extends BaseContext>(builder: CommandBuilder<CliContext<Context>>, key: string, state: RunState, context: TransformerContext) => T,
+  schema?: (key: string) => OptionSchema,
+  prompt?: (key: string) => PromptRequest | null,
 };
 
 export type CommandOptionReturn<T> = T;
@@ -58,6 +181,169 @@ export function rerouteArguments<A, B>(a: A | B | undefined, b: B): [Exclude<A,
   }
 }
 
+export function getEnvironmentName(builder: CommandBuilder<unknown>, names: Array<string>, env?: string | false) {
+  if (typeof env !== `undefined`)
+    return env !== false ? env : undefined;
+
+  const {envPrefix} = builder.cliOpts;
+  if (typeof envPrefix === `undefined`)
+    return undefined;
+
+  const longestName = names.reduce((longestName, name) => {
+    return name.startsWith(`--`) && name.length > longestName.length ? name : longestName;
+  }, ``);
+
+  // Options with only short names don't have a meaningful variable name
+  if (longestName === ``)
+    return undefined;
+
+  return `${envPrefix}${longestName.slice(2).replace(/-/g, `_`).toUpperCase()}`;
+}
+
+export function getConfigName(names: Array<string>, config?: string | false) {
+  if (typeof config !== `undefined`)
+    return config !== false ? config : undefined;
+
+  const longestName = names.reduce((longestName, name) => {
+    return name.startsWith(`--`) && name.length > longestName.length ? name : longestName;
+  }, ``);
+
+  if (longestName === ``)
+    return undefined;
+
+  return longestName.slice(2);
+}
+
+/**
+ * Builds the base of the prompt requests, shared by all option types.
+ */
+export function getPromptSettings(names: Array<string>, opts: {description?: string, prompt?: PromptFlags}) {
+  const longestName = names.reduce((longestName, name) => {
+    return name.length > longestName.length ? name : longestName;
+  }, ``);
+
+  return {name: longestName, message: opts.prompt?.message ?? opts.description ?? longestName};
+}
+
+/**
+ * Returns the value an option should use when it isn't set on the command
+ * line. Environment variables take precedence over the configuration.
+ */
+export function getFallbackValue(builder: CommandBuilder<unknown>, names: Array<string>, opts: GeneralOptionFlags, context: TransformerContext): {source: OptionSource, label: string, value: unknown} | null {
+  const envName = getEnvironmentName(builder, names, opts.env);
+
+  // Empty variables are treated as if they weren't set at all
+  if (typeof envName !== `undefined` && context.env[envName])
+    return {source: {type: `env`, name: envName}, label: envName, value: context.env[envName]};
+
+  const configName = getConfigName(names, opts.config);
+
+  if (typeof configName === `undefined`)
+    return null;
+
+  const config = context.getConfig();
+
+  if (config !== null && typeof config.values[configName] !== `undefined`) {
+    const {path, values} = config;
+    return {source: {type: `config`, name: configName, path}, label: `${configName} (in ${path})`, value: values[configName]};
+  }
+
+  return null;
+}
+
+export function parseBoolean(name: string, value: unknown) {
+  if (typeof value === `boolean`)
+    return value;
+
+  switch (typeof value === `string` ? value.toLowerCase() : value) {
+    case `1`: case `true`: case `yes`: case `on`:
+      return true;
+
+    case `0`: case `false`: case `no`: case `off`:
+      return false;
+
+    default:
+      throw new UsageError(`Invalid value for ${name}: expected a boolean (got ${JSON.stringify(value)})`);
+  }
+}
+
+export function parseString(name: string, value: unknown) {
+  if (typeof value === `string`)
+    return value;
+  if (typeof value === `number`)
+    return `${value}`;
+
+  throw new UsageError(`Invalid value for ${name}: expected a string (got ${JSON.stringify(value)})`);
+}
+
+export type NumberRange = {
+  min?: number,
+  max?: number,
+  step?: number,
+};
+
+export function parseNumber(name: string, value: unknown, {integer = false, min, max, step}: NumberRange & {integer?: boolean} = {}) {
+  const expected = integer ? `an integer` : `a number`;
+
+  const regex = integer
+    ? /^[-+]?[0-9]+$/
+    : /^[-+]?(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:e[-+]?[0-9]+)?$/i;
+
+  const number = typeof value === `number`
+    ? value
+    : typeof value === `string` && regex.test(value.trim()) ? Number(value) : NaN;
+
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)))
+    throw new UsageError(`Invalid value for ${name}: expected ${expected} (got ${JSON.stringify(value)})`);
+
+  if (typeof min !== `undefined` && number < min)
+    throw new UsageError(`Invalid value for ${name}: expected ${expected} greater than or equal to ${min} (got ${JSON.stringify(value)})`);
+  if (typeof max !== `undefined` && number > max)
+    throw new UsageError(`Invalid value for ${name}: expected ${expected} lower than or equal to ${max} (got ${JSON.stringify(value)})`);
+
+  if (typeof step !== `undefined`) {
+    const base = min ?? 0;
+
+    // Rounding errors would otherwise reject values such as 0.3 for steps of 0.1
+    const steps = (number - base) / step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+      throw new UsageError(`Invalid value for ${name}: expected ${expected} in increments of ${step} from ${base} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  return number;
+}
+
+export function parseTuple(name: string, value: unknown, arity: number) {
+  const segments = Array.isArray(value)
+    ? value.map(segment => parseString(name, segment))
+    : parseString(name, value).trim().split(/\s+/);
+
+  if (segments.length !== arity)
+    throw new UsageError(`Invalid value for ${name}: expected ${arity} arguments (got ${segments.length})`);
+
+  return segments;
+}
+
+export function splitArguments(name: string, value: unknown, arity: number) {
+  if (Array.isArray(value))
+    return arity <= 1 ? value.map(item => parseString(name, item)) : value.map(item => parseTuple(name, item, arity));
+
+  const segments = parseString(name, value).trim().split(/\s+/);
+
+  if (arity <= 1)
+    return segments;
+
+  if (segments.length % arity !== 0)
+    throw new UsageError(`Invalid value for ${name}: expected a multiple of ${arity} arguments (got ${segments.length})`);
+
+  const tuples: Array<Array<string>> = [];
+  for (let t = 0; t < segments.length; t += arity)
+    tuples.push(segments.slice(t, t + arity));
+
+  return tuples;
+}
+
 export function cleanValidationError(message: string, lowerCase: boolean = false) {
   let cleaned = message.replace(/^\.: /, ``);
 
@@ -97,3 +383,24 @@ export function applyValidator<U, V>(name: string, value: U, validator?: StrictV
 
   return value;
 }
+
+/**
+ * Typanion validators can't be introspected, but the coercions they apply
+ * to string inputs tell us which type they expect.
+ */
+export function getValidatorSchema(validator?: StrictValidator<unknown, unknown>): JsonSchema {
+  if (typeof validator === `undefined`)
+    return {type: `string`};
+
+  for (const [sample, type] of [[`1`, `number`], [`true`, `boolean`]]) {
+    try {
+      if (typeof applyValidator(sample, sample, validator) === type) {
+        return {type};
+      }
+    } catch {
+      // The validator rejected the sample; it's probably not the right type
+    }
+  }
+
+  return {type: `string`};
+}
@@ -23,9 +23,24 @@ export type StateMachine = {
   nodes: Array<Node>;
 };
 
+/**
+ * A constraint between the options of a command. For `implies` and
+ * `conflicts`, the first option is the one the constraint applies to.
+ */
+export type OptionConstraint = {
+  type: `exactlyOne` | `atMostOne` | `implies` | `conflicts`;
+  options: Array<string>;
+};
+
+export type StateConstraint = {
+  type: OptionConstraint['type'];
+  options: Array<{name: string, names: Array<string>}>;
+};
+
 export type RunState = {
   candidateUsage: string | null;
   requiredOptions: Array<Array<string>>;
+  constraints: Array<StateConstraint>;
   errorMessage: string | null;
   ignoreOptions: boolean;
   options: Array<{name: string, value: any}>;
@@ -38,6 +53,7 @@ export type RunState = {
 const basicHelpState: RunState = {
   candidateUsage: null,
   requiredOptions: [],
+  constraints: [],
   errorMessage: null,
   ignoreOptions: false,
   path: [],
@@ -143,11 +159,128 @@ export function debugMachine(machine: StateMachine, {prefix = ``}: {prefix?: str
   }
 }
 
-export function runMachineInternal(machine: StateMachine, input: Array<string>, partial: boolean = false) {
+function getTransitions(nodeDef: Node, state: RunState, segment: string, partial: boolean) {
+  const transitions: Array<{node: number, state: RunState}> = [];
+
+  const hasExactMatch = Object.prototype.hasOwnProperty.call(nodeDef.statics, segment);
+  if (!partial || hasExactMatch) {
+    if (hasExactMatch) {
+      for (const {to, reducer} of nodeDef.statics[segment]) {
+        transitions.push({node: to, state: typeof reducer !== `undefined` ? execute(reducers, reducer, state, segment) : state});
+        debug(`      Static transition to ${to} found`);
+      }
+    } else {
+      debug(`      No static transition found`);
+    }
+  } else {
+    let hasMatches = false;
+
+    for (const candidate of Object.keys(nodeDef.statics)) {
+      if (!candidate.startsWith(segment))
+        continue;
+
+      if (segment === candidate) {
+        for (const {to, reducer} of nodeDef.statics[candidate]) {
+          transitions.push({node: to, state: typeof reducer !== `undefined` ? execute(reducers, reducer, state, segment) : state});
+          debug(`      Static transition to ${to} found`);
+        }
+      } else {
+        for (const {to} of nodeDef.statics[candidate]) {
+          transitions.push({node: to, state: {...state, remainder: candidate.slice(segment.length)}});
+          debug(`      Static transition to ${to} found (partial match)`);
+        }
+      }
+
+      hasMatches = true;
+    }
+
+    if (!hasMatches) {
+      debug(`      No partial static transition found`);
+    }
+  }
+
+  if (segment !== END_OF_INPUT) {
+    for (const [test, {to, reducer}] of nodeDef.dynamics) {
+      if (execute(tests, test, state, segment)) {
+        transitions.push({node: to, state: typeof reducer !== `undefined` ? execute(reducers, reducer, state, segment) : state});
+        debug(`      Dynamic transition to ${to} found (via ${test})`);
+      }
+    }
+  }
+
+  return transitions;
+}
+
+/**
+ * Returns the tokens the given segment may be an abbreviation of. Paths
+ * and long options can be abbreviated, as long as the prefix identifies a
+ * single path or option; in that case the longest matching name of the
+ * option is used.
+ */
+function getAbbreviationExpansions(nodeDef: Node, segment: string) {
+  if (segment === START_OF_INPUT || segment === END_OF_INPUT)
+    return [];
+
+  const expansions = new Set<string>();
+
+  if (segment.startsWith(`--`)) {
+    const binding = segment.match(BINDING_REGEX);
+
+    const name = binding !== null ? binding[1] : segment;
+    const suffix = binding !== null ? `=${binding[2]}` : ``;
+
+    if (name.length <= 2)
+      return [];
+
+    for (const [test] of nodeDef.dynamics) {
+      if (!Array.isArray(test) || test[0] !== `isBoundOption`)
+        continue;
+
+      const [, , options] = test as [string, Array<string>, Array<OptDefinition>];
+      for (const {names, arity, hidden} of options) {
+        if (hidden)
+          continue;
+
+        const longNames = names.filter(name => name.startsWith(`--`));
+        const negatedNames = arity === 0
+          ? longNames.filter(name => !name.startsWith(`--no-`)).map(name => `--no-${name.slice(2)}`)
+          : [];
+
+        for (const candidates of [longNames, negatedNames]) {
+          const matches = candidates.filter(candidate => candidate.startsWith(name));
+          if (matches.length === 0)
+            continue;
+
+          const longestMatch = matches.reduce((longestMatch, match) => {
+            return match.length > longestMatch.length ? match : longestMatch;
+          });
+
+          expansions.add(`${longestMatch}${suffix}`);
+        }
+      }
+    }
+  } else if (!segment.startsWith(`-`) && segment.length > 0) {
+    for (const [candidate, transitions] of Object.entries(nodeDef.statics)) {
+      if (candidate.startsWith(segment) && transitions.some(({reducer}) => reducer === `pushPath`)) {
+        expansions.add(candidate);
+      }
+    }
+  }
+
+  return [...expansions];
+}
+
+export type RunOptions = {
+  partial?: boolean;
+  enableAbbreviations?: boolean;
+};
+
+export function runMachineInternal(machine: StateMachine, input: Array<string>, {partial = false, enableAbbreviations = false}: RunOptions = {}) {
   debug(`Running a vm on ${JSON.stringify(input)}`);
   let branches: Array<{node: number, state: RunState}> = [{node: NODE_INITIAL, state: {
     candidateUsage: null,
     requiredOptions: [],
+    constraints: [],
     errorMessage: null,
     ignoreOptions: false,
     options: [],
@@ -162,9 +295,11 @@ export function runMachineInternal(machine: StateMachine, input: Array<string>,
   const tokens = [START_OF_INPUT, ...input];
   for (let t = 0; t < tokens.length; ++t) {
     const segment = tokens[t];
+    const isLastToken = t === tokens.length - 1;
 
     debug(`  Processing ${JSON.stringify(segment)}`);
     const nextBranches: Array<{node: number, state: RunState}> = [];
+    const expansions = new Set<string>();
 
     for (const {node, state} of branches) {
       debug(`    Current node is ${node}`);
@@ -180,54 +315,27 @@ export function runMachineInternal(machine: StateMachine, input: Array<string>,
         `Shortcuts should have been eliminated by now`,
       );
 
-      const hasExactMatch = Object.prototype.hasOwnProperty.call(nodeDef.statics, segment);
-      if (!partial || t < tokens.length - 1 || hasExactMatch) {
-        if (hasExactMatch) {
-          const transitions = nodeDef.statics[segment];
-          for (const {to, reducer} of transitions) {
-            nextBranches.push({node: to, state: typeof reducer !== `undefined` ? execute(reducers, reducer, state, segment) : state});
-            debug(`      Static transition to ${to} found`);
-          }
-        } else {
-          debug(`      No static transition found`);
-        }
-      } else {
-        let hasMatches = false;
-
-        for (const candidate of Object.keys(nodeDef.statics)) {
-          if (!candidate.startsWith(segment))
-            continue;
-
-          if (segment === candidate) {
-            for (const {to, reducer} of nodeDef.statics[candidate]) {
-              nextBranches.push({node: to, state: typeof reducer !== `undefined` ? execute(reducers, reducer, state, segment) : state});
-              debug(`      Static transition to ${to} found`);
-            }
-          } else {
-            for (const {to} of nodeDef.statics[candidate]) {
-              nextBranches.push({node: to, state: {...state, remainder: candidate.slice(segment.length)}});
-              debug(`      Static transition to ${to} found (partial match)`);
-            }
-          }
+      let branchTransitions = getTransitions(nodeDef, state, segment, partial && isLastToken);
 
-          hasMatches = true;
-        }
+      // Abbreviations are only considered when the token isn't valid as-is
+      if (enableAbbreviations && !branchTransitions.some(({node}) => node !== NODE_ERRORED)) {
+        const branchExpansions = getAbbreviationExpansions(nodeDef, segment);
+        for (const expansion of branchExpansions)
+          expansions.add(expansion);
 
-        if (!hasMatches) {
-          debug(`      No partial static transition found`);
+        if (branchExpansions.length === 1) {
+          debug(`      Expanding the abbreviation into ${JSON.stringify(branchExpansions[0])}`);
+          branchTransitions = getTransitions(nodeDef, state, branchExpansions[0], false);
         }
       }
 
-      if (segment !== END_OF_INPUT) {
-        for (const [test, {to, reducer}] of nodeDef.dynamics) {
-          if (execute(tests, test, state, segment)) {
-            nextBranches.push({node: to, state: typeof reducer !== `undefined` ? execute(reducers, reducer, state, segment) : state});
-            debug(`      Dynamic transition to ${to} found (via ${test})`);
-          }
-        }
-      }
+      nextBranches.push(...branchTransitions);
     }
 
+    // The prefix must identify a single token across all the commands
+    if (expansions.size > 1)
+      throw new errors.AmbiguousSyntaxError(input, [...expansions].sort());
+
     if (nextBranches.length === 0 && segment === END_OF_INPUT && input.length === 1) {
       return [{
         node: NODE_INITIAL,
@@ -240,13 +348,13 @@ export function runMachineInternal(machine: StateMachine, input: Array<string>,
         return node !== NODE_ERRORED;
       }).map(({state}) => {
         return {usage: state.candidateUsage!, reason: null};
-      }));
+      }), findSuggestions(machine, branches, segment));
     }
 
     if (nextBranches.every(({node}) => node === NODE_ERRORED)) {
       throw new errors.UnknownSyntaxError(input, nextBranches.map(({state}) => {
         return {usage: state.candidateUsage!, reason: state.errorMessage};
-      }));
+      }), findSuggestions(machine, branches, segment));
     }
 
     branches = trimSmallerBranches(nextBranches);
@@ -264,6 +372,114 @@ export function runMachineInternal(machine: StateMachine, input: Array<string>,
   return branches;
 }
 
+/**
+ * Computes the Damerau-Levenshtein distance between two strings (each
+ * insertion, deletion, substitution, or transposition costs one).
+ */
+export function getEditDistance(a: string, b: string) {
+  const distances: Array<Array<number>> = [];
+
+  for (let i = 0; i <= a.length; ++i)
+    distances.push([i]);
+  for (let j = 1; j <= b.length; ++j)
+    distances[0].push(j);
+
+  for (let i = 1; i <= a.length; ++i) {
+    for (let j = 1; j <= b.length; ++j) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost,
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return distances[a.length][b.length];
+}
+
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Returns the candidates close enough to the given token to be worth
+ * suggesting, best match first.
+ */
+export function rankSuggestions(token: string, candidates: Iterable<string>) {
+  const maxDistance = Math.max(1, Math.floor(token.length / 3));
+  const ranked: Array<{candidate: string, distance: number}> = [];
+
+  for (const candidate of candidates) {
+    const distance = getEditDistance(token, candidate);
+    if (distance > 0 && distance <= maxDistance) {
+      ranked.push({candidate, distance});
+    }
+  }
+
+  ranked.sort((a, b) => {
+    return a.distance - b.distance || a.candidate.localeCompare(b.candidate, `en`);
+  });
+
+  // Candidates much further than the best match would only add noise
+  return ranked.filter(({distance}) => {
+    return distance <= ranked[0].distance + 1;
+  }).slice(0, MAX_SUGGESTIONS).map(({candidate}) => {
+    return candidate;
+  });
+}
+
+function findSuggestions(machine: StateMachine, branches: Array<{node: number, state: RunState}>, segment: string) {
+  if (segment === START_OF_INPUT || segment === END_OF_INPUT)
+    return [];
+
+  const isOptionLike = segment.startsWith(`-`);
+  const token = isOptionLike
+    ? segment.match(BINDING_REGEX)?.[1] ?? segment
+    : segment;
+
+  const candidates = new Set<string>();
+
+  for (const {node} of branches) {
+    if (node === NODE_ERRORED)
+      continue;
+
+    const nodeDef = machine.nodes[node];
+
+    if (isOptionLike) {
+      for (const [test] of nodeDef.dynamics) {
+        if (!Array.isArray(test) || test[0] !== `isBoundOption`)
+          continue;
+
+        const [, , options] = test as [string, Array<string>, Array<OptDefinition>];
+        for (const {names, arity, hidden} of options) {
+          if (hidden)
+            continue;
+
+          for (const name of names) {
+            candidates.add(name);
+
+            if (arity === 0 && name.startsWith(`--`)) {
+              candidates.add(`--no-${name.slice(2)}`);
+            }
+          }
+        }
+      }
+    } else {
+      for (const [candidate, transitions] of Object.entries(nodeDef.statics)) {
+        if (transitions.some(({reducer}) => reducer === `pushPath`)) {
+          candidates.add(candidate);
+        }
+      }
+    }
+  }
+
+  return rankSuggestions(token, candidates);
+}
+
 function checkIfNodeIsFinished(node: Node, state: RunState) {
   if (state.selectedIndex !== null)
     return true;
@@ -281,7 +497,7 @@ function suggestMachine(machine: StateMachine, input: Array<string>, partial: bo
   // prefixed with an extra space.
   const prefix = partial && input.length > 0 ? [``] : [];
 
-  const branches = runMachineInternal(machine, input, partial);
+  const branches = runMachineInternal(machine, input, {partial});
 
   const suggestions: Array<Array<string>> = [];
   const suggestionsJson = new Set<string>();
@@ -359,8 +575,84 @@ function suggestMachine(machine: StateMachine, input: Array<string>, partial: bo
   return [...suggestions].sort();
 }
 
-function runMachine(machine: StateMachine, input: Array<string>) {
-  const branches = runMachineInternal(machine, [...input, END_OF_INPUT]);
+async function completeMachine(machine: StateMachine, input: Array<string>, current: string, context: any) {
+  let branches: Array<{node: number, state: RunState}>;
+  try {
+    branches = runMachineInternal(machine, input);
+  } catch (error) {
+    if (error instanceof errors.UnknownSyntaxError) {
+      return [];
+    } else {
+      throw error;
+    }
+  }
+
+  // Options are only offered once the user started typing one, otherwise
+  // they would drown the command names
+  const isOptionLike = current.startsWith(`-`);
+  const binding = isOptionLike ? current.match(BINDING_REGEX) : null;
+
+  const candidates = new Set<string>();
+  const requests: Array<Promise<Array<string>>> = [];
+
+  const requestValues = (complete: CompletionProvider, state: RunState, partial: string, prefix: string = ``) => {
+    requests.push(Promise.resolve(complete(partial, {state, context})).then(values => {
+      return values.filter(value => value.startsWith(partial)).map(value => `${prefix}${value}`);
+    }));
+  };
+
+  for (const {node, state} of branches) {
+    if (node === NODE_ERRORED)
+      continue;
+
+    const nodeDef = machine.nodes[node];
+
+    for (const [segment, transitions] of Object.entries(nodeDef.statics))
+      if (transitions.some(({reducer}) => reducer === `pushPath`))
+        candidates.add(segment);
+
+    for (const [test, {to, complete}] of nodeDef.dynamics) {
+      if (to === NODE_ERRORED)
+        continue;
+
+      if (binding !== null) {
+        if (Array.isArray(test) && test[0] === `isBoundOption`) {
+          const [, name, value] = binding;
+          const [, names, options] = test as [string, Array<string>, Array<OptDefinition>];
+
+          if (names.includes(name)) {
+            for (const {names, complete} of options) {
+              if (names.includes(name) && typeof complete !== `undefined`) {
+                requestValues(complete, state, value, `${name}=`);
+              }
+            }
+          }
+        }
+      } else if (!isOptionLike && typeof complete !== `undefined`) {
+        requestValues(complete, state, current);
+      }
+
+      const tokens = suggest(test, state);
+      if (tokens === null)
+        continue;
+
+      for (const token of tokens) {
+        candidates.add(token);
+      }
+    }
+  }
+
+  for (const values of await Promise.all(requests))
+    for (const value of values)
+      candidates.add(value);
+
+  return [...candidates].filter(candidate => {
+    return candidate.startsWith(current) && (isOptionLike || !candidate.startsWith(`-`));
+  }).sort();
+}
+
+function runMachine(machine: StateMachine, input: Array<string>, opts: RunOptions = {}) {
+  const branches = runMachineInternal(machine, [...input, END_OF_INPUT], opts);
 
   return selectBestState(input, branches.map(({state}) => {
     return state;
@@ -401,12 +693,22 @@ export function selectBestState(input: Array<string>, states: Array<RunState>) {
     })));
   }
 
+  // States breaking their constraints are only kept when there's no other
+  // alternative, so that the caller can report the violation
+  const constraintsSetStates = requiredOptionsSetStates.filter(state => {
+    return getConstraintViolation(state) === null;
+  });
+
+  const validStates = constraintsSetStates.length > 0
+    ? constraintsSetStates
+    : requiredOptionsSetStates;
+
   let maxPathSize = 0;
-  for (const state of requiredOptionsSetStates)
+  for (const state of validStates)
     if (state.path.length > maxPathSize)
       maxPathSize = state.path.length;
 
-  const bestPathBranches = requiredOptionsSetStates.filter(state => {
+  const bestPathBranches = validStates.filter(state => {
     return state.path.length === maxPathSize;
   });
 
@@ -436,6 +738,70 @@ export function selectBestState(input: Array<string>, states: Array<RunState>) {
   return fixedStates[0];
 }
 
+/**
+ * Returns a message describing the first constraint broken by the options
+ * of the given state, or `null` if they're all satisfied. Negated options
+ * (`--no-foo`) don't count as set.
+ *
+ * @param fallbacks The options set outside of the command line (for example
+ * through environment variables), which the command line takes precedence over
+ */
+export function getConstraintViolation(state: RunState, fallbacks: Array<{name: string, value: any}> = []) {
+  if (state.selectedIndex === HELP_COMMAND_INDEX)
+    return null;
+
+  const getUsedName = (names: Array<string>) => {
+    let usedName: string | null = null;
+
+    for (const {name, value} of [...fallbacks, ...state.options])
+      if (names.includes(name))
+        usedName = value !== false ? name : null;
+
+    return usedName;
+  };
+
+  const formatList = (names: Array<string>) => names.length > 1
+    ? `${names.slice(0, -1).join(`, `)} and ${names[names.length - 1]}`
+    : names[0];
+
+  for (const {type, options} of state.constraints) {
+    const usedNames = options.map(({names}) => getUsedName(names));
+    const setNames = usedNames.filter((name): name is string => name !== null);
+
+    switch (type) {
+      case `exactlyOne`: {
+        if (setNames.length === 0) {
+          return `Exactly one of ${options.map(({name}) => name).join(`, `)} must be set`;
+        } else if (setNames.length > 1) {
+          return `Options ${formatList(setNames)} are mutually exclusive`;
+        }
+      } break;
+
+      case `atMostOne`: {
+        if (setNames.length > 1) {
+          return `Options ${formatList(setNames)} are mutually exclusive`;
+        }
+      } break;
+
+      case `implies`: {
+        const missingNames = options.slice(1).filter((option, index) => usedNames[index + 1] === null).map(({name}) => name);
+        if (usedNames[0] !== null && missingNames.length > 0) {
+          return `Option ${usedNames[0]} requires ${formatList(missingNames)} to be set`;
+        }
+      } break;
+
+      case `conflicts`: {
+        const conflictingNames = usedNames.slice(1).filter((name): name is string => name !== null);
+        if (usedNames[0] !== null && conflictingNames.length > 0) {
+          return `Option ${usedNames[0]} cannot be used with ${formatList(conflictingNames)}`;
+        }
+      } break;
+    }
+  }
+
+  return null;
+}
+
 export function aggregateHelpStates(states: Array<RunState>) {
   const notHelps: Array<RunState> = [];
   const helps: Array<RunState> = [];
@@ -475,6 +841,7 @@ function findCommonPrefix(firstPath: Array<string>, secondPath: Array<string>|un
 type Transition = {
   to: number;
   reducer?: Callback<keyof typeof reducers, typeof reducers>;
+  complete?: CompletionProvider;
 };
 
 type Node = {
@@ -495,10 +862,11 @@ export function isTerminalNode(node: number) {
   return node === NODE_SUCCESS || node === NODE_ERRORED;
 }
 
-export function cloneTransition(input: Transition, offset: number = 0) {
+export function cloneTransition(input: Transition, offset: number = 0): Transition {
   return {
     to: !isTerminalNode(input.to) ? input.to > 2 ? input.to + offset - 2 : input.to + offset : input.to,
     reducer: input.reducer,
+    ...typeof input.complete !== `undefined` ? {complete: input.complete} : {},
   };
 }
 
@@ -517,10 +885,13 @@ export function cloneNode(input: Node, offset: number = 0) {
   return output;
 }
 
-export function registerDynamic<T extends keyof typeof tests, R extends keyof typeof reducers>(machine: StateMachine, from: number, test: Callback<T, typeof tests>, to: number, reducer?: Callback<R, typeof reducers>) {
+/**
+ * @param complete Provides the values the consumed segment may take, for the shell completion
+ */
+export function registerDynamic<T extends keyof typeof tests, R extends keyof typeof reducers>(machine: StateMachine, from: number, test: Callback<T, typeof tests>, to: number, reducer?: Callback<R, typeof reducers>, complete?: CompletionProvider) {
   machine.nodes[from].dynamics.push([
     test as Callback<keyof typeof tests, typeof tests>,
-    {to, reducer: reducer as Callback<keyof typeof reducers, typeof reducers>},
+    {to, reducer: reducer as Callback<keyof typeof reducers, typeof reducers>, ...typeof complete !== `undefined` ? {complete} : {}},
   ]);
 }
 
@@ -580,6 +951,52 @@ export function suggest(callback: Callback<keyof typeof tests, typeof tests>, st
   return fn.suggest(state, ...args);
 }
 
+/**
+ * Splits a cluster of short options (`-vn5`) into its boolean flags and
+ * the trailing option that takes an argument, along with its attached
+ * value (`undefined` when the value is the next token). Just like getopt,
+ * the first option taking an argument consumes the rest of the cluster.
+ * Clusters made of booleans only are left to the batches.
+ */
+export function parseShortCluster(segment: string, options: Array<OptDefinition>) {
+  if (segment.length < 3 || !segment.startsWith(`-`) || segment.startsWith(`--`))
+    return null;
+
+  const flags: Array<string> = [];
+
+  for (let t = 1; t < segment.length; ++t) {
+    const name = `-${segment[t]}`;
+
+    const option = options.find(({names}) => names.includes(name));
+    if (typeof option === `undefined`)
+      return null;
+
+    if (option.arity === 0) {
+      flags.push(name);
+      continue;
+    }
+
+    if (option.arity !== 1)
+      return null;
+
+    let value: string | undefined = segment.slice(t + 1);
+
+    if (value === ``) {
+      value = undefined;
+    } else if (value.startsWith(`=`)) {
+      // `-n=5` is already supported by the bound options
+      if (flags.length === 0)
+        return null;
+
+      value = value.slice(1);
+    }
+
+    return {flags, option: {name, value}};
+  }
+
+  return null;
+}
+
 export const tests = {
   always: () => {
     return true;
@@ -602,14 +1019,22 @@ export const tests = {
             // Disallow bound options with no arguments (i.e. booleans)
             && options.filter(opt => opt.names.includes(optionParsing[1])).every(opt => opt.allowBinding);
   },
+  isShortClusterWithValue: (state: RunState, segment: string, options: Array<OptDefinition>) => {
+    const cluster = parseShortCluster(segment, options);
+    return !state.ignoreOptions && cluster !== null && typeof cluster.option.value !== `undefined`;
+  },
+  isShortClusterEndingWith: (state: RunState, segment: string, name: string, options: Array<OptDefinition>) => {
+    const cluster = parseShortCluster(segment, options);
+    return !state.ignoreOptions && cluster !== null && typeof cluster.option.value === `undefined` && cluster.option.name === name;
+  },
   isNegatedOption: (state: RunState, segment: string, name: string) => {
     return !state.ignoreOptions && segment === `--no-${name.slice(2)}`;
   },
   isHelp: (state: RunState, segment: string) => {
     return !state.ignoreOptions && HELP_REGEX.test(segment);
   },
-  isUnsupportedOption: (state: RunState, segment: string, names: Array<string>) => {
-    return !state.ignoreOptions && segment.startsWith(`-`) && OPTION_REGEX.test(segment) && !names.includes(segment);
+  isUnsupportedOption: (state: RunState, segment: string, names: Array<string>, options: Array<OptDefinition> = []) => {
+    return !state.ignoreOptions && segment.startsWith(`-`) && OPTION_REGEX.test(segment) && !names.includes(segment) && parseShortCluster(segment, options) === null;
   },
   isInvalidOption: (state: RunState, segment: string) => {
     return !state.ignoreOptions && segment.startsWith(`-`) && !OPTION_REGEX.test(segment);
@@ -631,6 +1056,10 @@ export const reducers = {
   pushBatch: (state: RunState, segment: string) => {
     return {...state, options: state.options.concat([...segment.slice(1)].map(name => ({name: `-${name}`, value: true})))};
   },
+  pushShortCluster: (state: RunState, segment: string, options: Array<OptDefinition>) => {
+    const {flags, option} = parseShortCluster(segment, options)!;
+    return {...state, options: state.options.concat(flags.map(name => ({name, value: true})), {...option})};
+  },
   pushBound: (state: RunState, segment: string) => {
     const [, name, value] = segment.match(BINDING_REGEX)!;
     return {...state, options: state.options.concat({name, value})};
@@ -703,6 +1132,12 @@ export type ArityDefinition = {
   proxy: boolean;
 };
 
+/**
+ * Computes the values that can be used to complete a partially typed
+ * option argument or positional.
+ */
+export type CompletionProvider = (partial: string, request: {state: RunState, context: any}) => Array<string> | Promise<Array<string>>;
+
 export type OptDefinition = {
   names: Array<string>;
   description?: string;
@@ -710,16 +1145,60 @@ export type OptDefinition = {
   hidden: boolean;
   required: boolean;
   allowBinding: boolean;
+  complete?: CompletionProvider;
+  env?: string;
+  config?: string;
+  choices?: Array<string>;
+  range?: OptRange;
+};
+
+/**
+ * The required values that can be omitted from the command line, because
+ * the caller will obtain them some other way (for example by reading them
+ * from the environment, or by prompting the user).
+ */
+export type MissingValues = {
+  options?: (option: OptDefinition) => boolean;
+  positionals?: boolean;
+};
+
+/**
+ * The boundaries of the numbers accepted by an option, displayed in the
+ * detailed usage.
+ */
+export type OptRange = {
+  min?: number;
+  max?: number;
+  step?: number;
 };
 
+function formatRange({min, max, step}: OptRange) {
+  const segments = [];
+
+  if (typeof min !== `undefined` && typeof max !== `undefined`)
+    segments.push(`${min}..${max}`);
+  else if (typeof min !== `undefined`)
+    segments.push(`>=${min}`);
+  else if (typeof max !== `undefined`)
+    segments.push(`<=${max}`);
+
+  if (typeof step !== `undefined`)
+    segments.push(`step ${step}`);
+
+  return segments.join(`, `);
+}
+
 export class CommandBuilder<Context> {
   public readonly cliIndex: number;
   public readonly cliOpts: Readonly<CliOptions>;
 
   public readonly allOptionNames: Array<string> = [];
   public readonly arity: ArityDefinition = {leading: [], trailing: [], extra: [], proxy: false};
+  public readonly constraints: Array<StateConstraint> = [];
   public readonly options: Array<OptDefinition> = [];
   public readonly paths: Array<Array<string>> = [];
+  public readonly positionalCompletions: Map<string | typeof NoLimits, CompletionProvider> = new Map();
+  public readonly positionalRanges: Map<string, OptRange> = new Map();
 
   private context?: Context;
 
@@ -736,12 +1215,17 @@ export class CommandBuilder<Context> {
     Object.assign(this.arity, {leading, trailing, extra, proxy});
   }
 
-  addPositional({name = `arg`, required = true}: {name?: string, required?: boolean} = {}) {
+  addPositional({name = `arg`, required = true, complete, range}: {name?: string, required?: boolean, complete?: CompletionProvider, range?: OptRange} = {}) {
     if (!required && this.arity.extra === NoLimits)
       throw new Error(`Optional parameters cannot be declared when using .rest() or .proxy()`);
     if (!required && this.arity.trailing.length > 0)
       throw new Error(`Optional parameters cannot be declared after the required trailing positional arguments`);
 
+    if (typeof complete !== `undefined`)
+      this.positionalCompletions.set(name, complete);
+    if (typeof range !== `undefined`)
+      this.positionalRanges.set(name, range);
+
     if (!required && this.arity.extra !== NoLimits) {
       this.arity.extra.push(name);
     } else if (this.arity.extra !== NoLimits && this.arity.extra.length === 0) {
@@ -751,16 +1235,20 @@ export class CommandBuilder<Context> {
     }
   }
 
-  addRest({name = `arg`, required = 0}: {name?: string, required?: number} = {}) {
+  addRest({name = `arg`, required = 0, complete}: {name?: string, required?: number, complete?: CompletionProvider} = {}) {
     if (this.arity.extra === NoLimits)
       throw new Error(`Infinite lists cannot be declared multiple times in the same command`);
     if (this.arity.trailing.length > 0)
       throw new Error(`Infinite lists cannot be declared after the required trailing positional arguments`);
 
     for (let t = 0; t < required; ++t)
-      this.addPositional({name});
+      this.addPositional({name, complete});
 
     this.arity.extra = NoLimits;
+
+    if (typeof complete !== `undefined`) {
+      this.positionalCompletions.set(NoLimits, complete);
+    }
   }
 
   addProxy({required = 0}: {name?: string, required?: number} = {}) {
@@ -768,7 +1256,7 @@ export class CommandBuilder<Context> {
     this.arity.proxy = true;
   }
 
-  addOption({names, description, arity = 0, hidden = false, required = false, allowBinding = true}: Partial<OptDefinition> & {names: Array<string>}) {
+  addOption({names, description, arity = 0, hidden = false, required = false, allowBinding = true, complete, env, config, choices, range}: Partial<OptDefinition> & {names: Array<string>}) {
     if (!allowBinding && arity > 1)
       throw new Error(`The arity cannot be higher than 1 when the option only supports the --arg=value syntax`);
     if (!Number.isInteger(arity))
@@ -777,7 +1265,20 @@ export class CommandBuilder<Context> {
       throw new Error(`The arity must be positive, got ${arity}`);
 
     this.allOptionNames.push(...names);
-    this.options.push({names, description, arity, hidden, required, allowBinding});
+    this.options.push({names, description, arity, hidden, required, allowBinding, complete, env, config, choices, range});
+  }
+
+  addConstraint({type, options}: OptionConstraint) {
+    if (options.length < 2)
+      throw new Error(`Constraints must reference at least two options`);
+
+    this.constraints.push({type, options: options.map(name => {
+      const option = this.options.find(({names}) => names.includes(name));
+      if (typeof option === `undefined`)
+        throw new Error(`Unknown option "${name}" in constraint`);
+
+      return {name, names: option.names};
+    })});
   }
 
   setContext(context: Context) {
@@ -789,39 +1290,91 @@ export class CommandBuilder<Context> {
 
     const detailedOptionList: Array<{
       definition: string;
-      description: string;
+      description?: string;
       required: boolean;
+      env?: string;
+      choices?: Array<string>;
     }> = [];
 
     if (this.paths.length > 0)
       segments.push(...this.paths[0]);
 
     if (detailed) {
-      for (const {names, arity, hidden, description, required} of this.options) {
-        if (hidden)
-          continue;
-
+      const getDefinition = ({names, arity, choices, range}: OptDefinition) => {
         const args = [];
         for (let t = 0; t < arity; ++t)
           args.push(` #${t}`);
 
-        const definition = `${names.join(`,`)}${args.join(``)}`;
+        if (typeof choices !== `undefined`)
+          args.push(` (${choices.join(`|`)})`);
 
-        if (!inlineOptions && description) {
-          detailedOptionList.push({definition, description, required});
-        } else {
+        const rangeHint = typeof range !== `undefined` ? formatRange(range) : ``;
+        if (rangeHint !== ``)
+          args.push(` (${rangeHint})`);
+
+        return `${names.join(`,`)}${args.join(``)}`;
+      };
+
+      // Options sharing an exclusivity constraint are displayed together
+      // as a single group, at the position of the first one (the `conflicts`
+      // and `implies` constraints only concern their first option, so they
+      // can't be expressed this way)
+      const groupedOptions = new Map<OptDefinition, StateConstraint | null>();
+      for (const constraint of this.constraints) {
+        if (constraint.type !== `exactlyOne` && constraint.type !== `atMostOne`)
+          continue;
+
+        let isAnchored = false;
+        for (const {names} of constraint.options) {
+          const option = this.options.find(option => option.names === names)!;
+          if (option.hidden || groupedOptions.has(option))
+            continue;
+
+          groupedOptions.set(option, isAnchored ? null : constraint);
+          isAnchored = true;
+        }
+      }
+
+      for (const option of this.options) {
+        const {hidden, description, required, env, choices} = option;
+        if (hidden)
+          continue;
+
+        const definition = getDefinition(option);
+
+        if (!inlineOptions && (description || env))
+          detailedOptionList.push({definition, description, required, env, ...typeof choices !== `undefined` ? {choices} : {}});
+
+        const group = groupedOptions.get(option);
+        if (typeof group !== `undefined`) {
+          if (group !== null) {
+            const definitions = group.options
+              .map(({names}) => this.options.find(option => option.names === names)!)
+              .filter(option => !option.hidden)
+              .map(option => getDefinition(option));
+
+            segments.push(group.type === `exactlyOne` ? `(${definitions.join(` | `)})` : `[${definitions.join(` | `)}]`);
+          }
+        } else if (inlineOptions || !(description || env)) {
           segments.push(required ? `<${definition}>` : `[${definition}]`);
         }
       }
 
-      segments.push(...this.arity.leading.map(name => `<${name}>`));
+      const getPositionalDefinition = (name: string) => {
+        const range = this.positionalRanges.get(name);
+        const rangeHint = typeof range !== `undefined` ? formatRange(range) : ``;
+
+        return rangeHint !== `` ? `${name} (${rangeHint})` : name;
+      };
+
+      segments.push(...this.arity.leading.map(name => `<${getPositionalDefinition(name)}>`));
 
       if (this.arity.extra === NoLimits)
         segments.push(`...`);
       else
-        segments.push(...this.arity.extra.map(name => `[${name}]`));
+        segments.push(...this.arity.extra.map(name => `[${getPositionalDefinition(name)}]`));
 
-      segments.push(...this.arity.trailing.map(name => `<${name}>`));
+      segments.push(...this.arity.trailing.map(name => `<${getPositionalDefinition(name)}>`));
     }
 
     const usage = segments.join(` `);
@@ -829,7 +1382,10 @@ export class CommandBuilder<Context> {
     return {usage, options: detailedOptionList};
   }
 
-  compile() {
+  /**
+   * @param opts.allowMissing The required options and leading positionals that may be omitted, in which case it's up to the caller to obtain their values
+   */
+  compile({allowMissing = {}}: {allowMissing?: MissingValues} = {}) {
     if (typeof this.context === `undefined`)
       throw new Error(`Assertion failed: No context attached`);
 
@@ -838,11 +1394,14 @@ export class CommandBuilder<Context> {
 
     const candidateUsage = this.usage().usage;
     const requiredOptions = this.options
-      .filter(opt => opt.required)
+      .filter(opt => opt.required && !allowMissing.options?.(opt))
       .map(opt => opt.names);
 
+    // The positionals are assigned in order, so the leading ones can only be omitted when no trailing ones follow
+    const allowMissingPositionals = !!allowMissing.positionals && this.arity.trailing.length === 0;
+
     firstNode = injectNode(machine, makeNode());
-    registerStatic(machine, NODE_INITIAL, START_OF_INPUT, firstNode, [`setCandidateState`, {candidateUsage, requiredOptions}]);
+    registerStatic(machine, NODE_INITIAL, START_OF_INPUT, firstNode, [`setCandidateState`, {candidateUsage, requiredOptions, constraints: this.constraints}]);
 
     const positionalArgument = this.arity.proxy
       ? `always`
@@ -880,7 +1439,7 @@ export class CommandBuilder<Context> {
       }
 
       if (this.arity.leading.length > 0)
-        registerStatic(machine, lastPathNode, END_OF_INPUT, NODE_ERRORED, [`setError`, `Not enough positional arguments`]);
+        this.registerMissingPositionals(machine, lastPathNode, allowMissingPositionals);
 
       let lastLeadingNode = lastPathNode;
       for (let t = 0; t < this.arity.leading.length; ++t) {
@@ -890,9 +1449,9 @@ export class CommandBuilder<Context> {
           this.registerOptions(machine, nextLeadingNode);
 
         if (this.arity.trailing.length > 0 || t + 1 !== this.arity.leading.length)
-          registerStatic(machine, nextLeadingNode, END_OF_INPUT, NODE_ERRORED, [`setError`, `Not enough positional arguments`]);
+          this.registerMissingPositionals(machine, nextLeadingNode, allowMissingPositionals);
 
-        registerDynamic(machine, lastLeadingNode, `isNotOptionLike`, nextLeadingNode, `pushPositional`);
+        registerDynamic(machine, lastLeadingNode, `isNotOptionLike`, nextLeadingNode, `pushPositional`, this.positionalCompletions.get(this.arity.leading[t]));
         lastLeadingNode = nextLeadingNode;
       }
 
@@ -907,8 +1466,10 @@ export class CommandBuilder<Context> {
           if (!this.arity.proxy)
             this.registerOptions(machine, extraNode);
 
-          registerDynamic(machine, lastLeadingNode, positionalArgument, extraNode, `pushExtraNoLimits`);
-          registerDynamic(machine, extraNode, positionalArgument, extraNode, `pushExtraNoLimits`);
+          const complete = this.positionalCompletions.get(NoLimits);
+
+          registerDynamic(machine, lastLeadingNode, positionalArgument, extraNode, `pushExtraNoLimits`, complete);
+          registerDynamic(machine, extraNode, positionalArgument, extraNode, `pushExtraNoLimits`, complete);
           registerShortcut(machine, extraNode, extraShortcutNode);
         } else {
           for (let t = 0; t < this.arity.extra.length; ++t) {
@@ -917,7 +1478,7 @@ export class CommandBuilder<Context> {
             if (!this.arity.proxy)
               this.registerOptions(machine, nextExtraNode);
 
-            registerDynamic(machine, lastExtraNode, positionalArgument, nextExtraNode, `pushExtra`);
+            registerDynamic(machine, lastExtraNode, positionalArgument, nextExtraNode, `pushExtra`, this.positionalCompletions.get(this.arity.extra[t]));
             registerShortcut(machine, nextExtraNode, extraShortcutNode);
             lastExtraNode = nextExtraNode;
           }
@@ -939,7 +1500,7 @@ export class CommandBuilder<Context> {
         if (t + 1 < this.arity.trailing.length)
           registerStatic(machine, nextTrailingNode, END_OF_INPUT, NODE_ERRORED, [`setError`, `Not enough positional arguments`]);
 
-        registerDynamic(machine, lastTrailingNode, `isNotOptionLike`, nextTrailingNode, `pushPositional`);
+        registerDynamic(machine, lastTrailingNode, `isNotOptionLike`, nextTrailingNode, `pushPositional`, this.positionalCompletions.get(this.arity.trailing[t]));
         lastTrailingNode = nextTrailingNode;
       }
 
@@ -953,11 +1514,24 @@ export class CommandBuilder<Context> {
     };
   }
 
+  private registerMissingPositionals(machine: StateMachine, node: number, allowMissing: boolean) {
+    if (allowMissing) {
+      registerStatic(machine, node, END_OF_INPUT, NODE_SUCCESS, [`setSelectedIndex`, this.cliIndex]);
+    } else {
+      registerStatic(machine, node, END_OF_INPUT, NODE_ERRORED, [`setError`, `Not enough positional arguments`]);
+    }
+  }
+
   private registerOptions(machine: StateMachine, node: number) {
     registerDynamic(machine, node, [`isOption`, `--`], node, `inhibateOptions`);
-    registerDynamic(machine, node, [`isBatchOption`, this.allOptionNames], node, `pushBatch`);
+    const flagNames = this.options
+      .filter(option => option.arity === 0)
+      .reduce((names, option) => names.concat(option.names), [] as Array<string>);
+
+    registerDynamic(machine, node, [`isBatchOption`, flagNames], node, `pushBatch`);
+    registerDynamic(machine, node, [`isShortClusterWithValue`, this.options], node, [`pushShortCluster`, this.options]);
     registerDynamic(machine, node, [`isBoundOption`, this.allOptionNames, this.options], node, `pushBound`);
-    registerDynamic(machine, node, [`isUnsupportedOption`, this.allOptionNames], NODE_ERRORED, [`setError`, `Unsupported option name`]);
+    registerDynamic(machine, node, [`isUnsupportedOption`, this.allOptionNames, this.options], NODE_ERRORED, [`setError`, `Unsupported option name`]);
     registerDynamic(machine, node, [`isInvalidOption`], NODE_ERRORED, [`setError`, `Invalid option name`]);
 
     for (const option of this.options) {
@@ -981,6 +1555,11 @@ export class CommandBuilder<Context> {
         for (const name of option.names)
           registerDynamic(machine, node, [`isOption`, name, option.hidden || name !== longestName], lastNode, `pushUndefined`);
 
+        // Short options can also end a cluster of flags (`-vn 5`)
+        if (option.arity === 1)
+          for (const name of option.names.filter(name => name.match(/^-[a-zA-Z]$/)))
+            registerDynamic(machine, node, [`isShortClusterEndingWith`, name, this.options], lastNode, [`pushShortCluster`, this.options]);
+
 
         // For each argument, we inject a new node at the end and we
         // register a transition from the current node to this new node
@@ -996,7 +1575,7 @@ export class CommandBuilder<Context> {
             ? `setStringValue`
             : `pushStringValue`;
 
-          registerDynamic(machine, lastNode, `isNotOptionLike`, nextNode, action);
+          registerDynamic(machine, lastNode, `isNotOptionLike`, nextNode, action, option.complete);
 
           lastNode = nextNode;
         }
@@ -1011,6 +1590,8 @@ export class CommandBuilder<Context> {
 
 export type CliOptions = {
   binaryName: string;
+  enableAbbreviations?: boolean;
+  envPrefix?: string;
 };
 
 export type CliBuilderCallback<Context> =
@@ -1024,8 +1605,8 @@ export class CliBuilder<Context> {
     return new CliBuilder<Context>(opts).commands(cbs).compile();
   }
 
-  constructor({binaryName = `...`}: Partial<CliOptions> = {}) {
-    this.opts = {binaryName};
+  constructor({binaryName = `...`, enableAbbreviations = false, envPrefix}: Partial<CliOptions> = {}) {
+    this.opts = {binaryName, enableAbbreviations, envPrefix};
   }
 
   getBuilderByIndex(n: number) {
@@ -1049,12 +1630,15 @@ export class CliBuilder<Context> {
     return builder;
   }
 
-  compile() {
+  /**
+   * @param opts.allowMissing Returns the required values each command may omit (see `CommandBuilder#compile`)
+   */
+  compile({allowMissing}: {allowMissing?: (builder: CommandBuilder<Context>) => MissingValues} = {}) {
     const machines = [];
     const contexts = [];
 
     for (const builder of this.builders) {
-      const {machine, context} = builder.compile();
+      const {machine, context} = builder.compile({allowMissing: allowMissing?.(builder)});
 
       machines.push(machine);
       contexts.push(context);
@@ -1067,11 +1651,14 @@ export class CliBuilder<Context> {
       machine,
       contexts,
       process: (input: Array<string>) => {
-        return runMachine(machine, input);
+        return runMachine(machine, input, {enableAbbreviations: this.opts.enableAbbreviations});
       },
       suggest: (input: Array<string>, partial: boolean) => {
         return suggestMachine(machine, input, partial);
       },
+      complete: (input: Array<string>, current: string, context?: any) => {
+        return completeMachine(machine, input, current, context);
+      },
     };
   }
 }
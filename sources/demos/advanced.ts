@@ -19,14 +19,9 @@ class YarnDefaultRun extends Command<Context> {
   }
 }
 
-const isPositiveInteger = t.applyCascade(t.isNumber(), [
-  t.isInteger(),
-  t.isAtLeast(1),
-]);
-
 class YarnInstall extends Command<Context> {
   frozenLockfile = Option.Boolean(`--frozen-lockfile`, false);
-  maxRetries = Option.String(`--max-retries`, `0`, {validator: isPositiveInteger});
+  maxRetries = Option.Integer(`--max-retries`, 0, {min: 1});
 
   static paths = [Command.Default, [`install`]];
   async execute() {
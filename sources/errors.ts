@@ -1,11 +1,28 @@
 import {END_OF_INPUT} from './constants';
 
-export type ErrorMeta = {
+export type ErrorMeta = ({
   type: `none`;
 } | {
   type: `usage`;
+}) & {
+  /**
+   * The exit code returned by `Cli#run` when this error is thrown. Defaults
+   * to `EX_USAGE` for the usage errors, and to `1` otherwise.
+   */
+  exitCode?: number;
 };
 
+/**
+ * The exit code returned when the command line is incorrect (from BSD's
+ * `sysexits.h`).
+ */
+export const EX_USAGE = 64;
+
+/**
+ * The exit code returned when the command cannot be found, like shells do.
+ */
+export const EX_NOT_FOUND = 127;
+
 /**
  * An error with metadata telling clipanion how to print it
  *
@@ -27,6 +44,76 @@ export interface ErrorWithMeta extends Error {
   readonly clipanion: ErrorMeta;
 }
 
+/**
+ * Returns the exit code matching the given error.
+ */
+export function getExitCode(error: any) {
+  const meta: ErrorMeta | undefined = error?.clipanion;
+  if (typeof meta === `undefined`)
+    return 1;
+
+  return meta.exitCode ?? (meta.type === `usage` ? EX_USAGE : 1);
+}
+
+/**
+ * The machine-readable representation of an error, printed when the errors
+ * are formatted as JSON.
+ */
+export type ErrorReport = {
+  name: string;
+  message: string;
+  exitCode: number;
+
+  /**
+   * The tokens of the command line, if known.
+   */
+  input?: Array<string>;
+
+  /**
+   * The commands that could have matched the input (`UnknownSyntaxError`).
+   */
+  candidates?: Array<{usage: string, reason: string | null}>;
+
+  /**
+   * The registered paths or option names closest to the unknown token, best
+   * match first (`UnknownSyntaxError`).
+   */
+  suggestions?: Array<string>;
+
+  /**
+   * The commands that all matched the input (`AmbiguousSyntaxError`).
+   */
+  alternatives?: Array<string>;
+};
+
+/**
+ * Builds the report of an error. The input is only used as fallback, for
+ * the errors that don't know which input caused them.
+ */
+export function getErrorReport(error: Error, input?: Array<string>): ErrorReport {
+  const report: ErrorReport = {
+    name: error.name,
+    message: error.message,
+    exitCode: getExitCode(error),
+  };
+
+  const errorInput = error instanceof UnknownSyntaxError || error instanceof AmbiguousSyntaxError
+    ? error.input
+    : input;
+
+  if (typeof errorInput !== `undefined`)
+    report.input = errorInput.filter(token => token !== END_OF_INPUT);
+
+  if (error instanceof UnknownSyntaxError) {
+    report.candidates = error.candidates.map(({usage, reason}) => ({usage, reason}));
+    report.suggestions = error.suggestions;
+  }
+  if (error instanceof AmbiguousSyntaxError)
+    report.alternatives = error.usages;
+
+  return report;
+}
+
 /**
  * A generic usage error with the name `UsageError`.
  *
@@ -42,18 +129,37 @@ export class UsageError extends Error {
 }
 
 export class UnknownSyntaxError extends Error {
-  public clipanion: ErrorMeta = {type: `none`};
+  public clipanion: ErrorMeta = {type: `none`, exitCode: EX_NOT_FOUND};
 
-  constructor(public readonly input: Array<string>, public readonly candidates: Array<{usage: string, reason: string | null}>) {
+  /**
+   * @param suggestions The registered paths or option names that are the closest to the unknown token, best match first
+   */
+  constructor(public readonly input: Array<string>, public readonly candidates: Array<{usage: string, reason: string | null}>, public readonly suggestions: Array<string> = []) {
     super();
     this.name = `UnknownSyntaxError`;
 
-    if (this.candidates.length === 0) {
-      this.message = `Command not found, but we're not sure what's the alternative.`;
-    } else if (this.candidates.every(candidate => candidate.reason !== null && candidate.reason === candidates[0].reason) ) {
+    const hint = this.suggestions.length > 0
+      ? `did you mean ${formatAlternatives(this.suggestions.map(suggestion => `"${suggestion}"`))}?`
+      : null;
+
+    const hasCommonReason = this.candidates.length > 0 && this.candidates.every(candidate => {
+      return candidate.reason !== null && candidate.reason === candidates[0].reason;
+    });
+
+    if (hasCommonReason) {
       const [{reason}] = this.candidates;
+      const fullReason = hint !== null
+        ? `${reason!.replace(/\.$/, ``)}; ${hint}`
+        : reason;
+
+      this.message = `${fullReason}\n\n${this.candidates.map(({usage}) => `$ ${usage}`).join(`\n`)}`;
 
-      this.message = `${reason}\n\n${this.candidates.map(({usage}) => `$ ${usage}`).join(`\n`)}`;
+      // The command was found, but was called with the wrong arguments
+      this.clipanion = {type: `none`, exitCode: EX_USAGE};
+    } else if (hint !== null) {
+      this.message = `Command not found; ${hint}\n\n${whileRunning(input)}`;
+    } else if (this.candidates.length === 0) {
+      this.message = `Command not found, but we're not sure what's the alternative.`;
     } else if (this.candidates.length === 1) {
       const [{usage}] = this.candidates;
       this.message = `Command not found; did you mean:\n\n$ ${usage}\n${whileRunning(input)}`;
@@ -66,7 +172,7 @@ export class UnknownSyntaxError extends Error {
 }
 
 export class AmbiguousSyntaxError extends Error {
-  public clipanion: ErrorMeta = {type: `none`};
+  public clipanion: ErrorMeta = {type: `none`, exitCode: EX_USAGE};
 
   constructor(public readonly input: Array<string>, public readonly usages: Array<string>) {
     super();
@@ -78,6 +184,69 @@ export class AmbiguousSyntaxError extends Error {
   }
 }
 
+/**
+ * Thrown when a configuration file exists but can't be loaded.
+ */
+export class ConfigError extends Error {
+  public clipanion: ErrorMeta = {type: `none`};
+
+  constructor(public readonly path: string, reason: string) {
+    super();
+    this.name = `ConfigError`;
+
+    this.message = `Invalid configuration file ${path}: ${reason}`;
+  }
+}
+
+/**
+ * Thrown when a command line can't be split into arguments, for example
+ * because of an unterminated quote.
+ */
+export class TokenizeError extends Error {
+  public clipanion: ErrorMeta = {type: `none`, exitCode: EX_USAGE};
+
+  /**
+   * The position of the faulty character, starting from 1.
+   */
+  public readonly line: number;
+  public readonly column: number;
+
+  /**
+   * @param index The offset of the faulty character within the input
+   */
+  constructor(public readonly input: string, public readonly index: number, reason: string) {
+    super();
+    this.name = `TokenizeError`;
+
+    const lineStart = input.lastIndexOf(`\n`, index - 1) + 1;
+    const lineEnd = input.indexOf(`\n`, index);
+
+    this.line = input.slice(0, lineStart).split(`\n`).length;
+    this.column = index - lineStart + 1;
+
+    const excerpt = input.slice(lineStart, lineEnd !== -1 ? lineEnd : input.length);
+    this.message = `${reason} (line ${this.line}, column ${this.column})\n\n${excerpt}\n${` `.repeat(this.column - 1)}^`;
+  }
+}
+
+/**
+ * Thrown when a response file (`@path`) exists but can't be expanded.
+ */
+export class ResponseFileError extends Error {
+  public clipanion: ErrorMeta = {type: `none`, exitCode: EX_USAGE};
+
+  constructor(public readonly path: string, reason: string) {
+    super();
+    this.name = `ResponseFileError`;
+
+    this.message = `Invalid response file ${path}: ${reason}`;
+  }
+}
+
+const formatAlternatives = (alternatives: Array<string>) => alternatives.length > 1
+  ? `${alternatives.slice(0, -1).join(`, `)} or ${alternatives[alternatives.length - 1]}`
+  : alternatives[0];
+
 const whileRunning = (input: Array<string>) => `While running ${input.filter(token => {
   return token !== END_OF_INPUT;
 }).map(token => {
@@ -1,20 +1,53 @@
 export interface ColorFormat {
-  header(str: string): string;
+  header(str: string, columns?: number): string;
   bold(str: string): string;
   error(str: string): string;
   code(str: string): string;
+  italic(str: string): string;
+  link(text: string, url: string): string;
+  option(str: string): string;
+  positional(str: string): string;
+  category(str: string): string;
+  deprecation(str: string): string;
 }
 
-const MAX_LINE_LENGTH = 80;
-const richLine = Array(MAX_LINE_LENGTH).fill(`━`);
-for (let t = 0; t <= 24; ++t)
-  richLine[richLine.length - t] = `\x1b[38;5;${232 + t}m━`;
+/**
+ * A set of overrides for the slots of the colored format. The slots that
+ * aren't set keep their default style.
+ */
+export type ColorTheme = Partial<ColorFormat>;
+
+/**
+ * The number of bits used to encode the colors: 1 when colors aren't
+ * supported, 4 for the 16 basic colors, 8 for the 256 colors palette, and
+ * 24 for truecolor.
+ */
+export type ColorDepth = 1 | 4 | 8 | 24;
+
+/**
+ * The width used when the number of columns of the output is unknown.
+ */
+export const DEFAULT_COLUMNS = 80;
+
+function getRichLine(columns: number) {
+  const richLine = Array(columns).fill(`━`);
+  for (let t = 0; t <= 24 && t < columns; ++t)
+    richLine[richLine.length - t] = `\x1b[38;5;${232 + t}m━`;
+
+  return richLine;
+}
 
 export const richFormat: ColorFormat = {
-  header: str => `\x1b[1m━━━ ${str}${str.length < MAX_LINE_LENGTH - 5 ? ` ${richLine.slice(str.length + 5).join(``)}` : `:`}\x1b[0m`,
+  header: (str, columns = DEFAULT_COLUMNS) => `\x1b[1m━━━ ${str}${getVisibleLength(str) < columns - 5 ? ` ${getRichLine(columns).slice(getVisibleLength(str) + 5).join(``)}` : `:`}\x1b[0m`,
   bold: str => `\x1b[1m${str}\x1b[22m`,
   error: str => `\x1b[31m\x1b[1m${str}\x1b[22m\x1b[39m`,
   code: str => `\x1b[36m${str}\x1b[39m`,
+  italic: str => `\x1b[3m${str}\x1b[23m`,
+  link: (text, url) => `\x1b]8;;${url}\x1b\\${text}\x1b]8;;\x1b\\`,
+  option: str => `\x1b[1m${str}\x1b[22m`,
+  positional: str => str,
+  category: str => str,
+  deprecation: str => `\x1b[33m${str}\x1b[39m`,
 };
 
 export const textFormat: ColorFormat = {
@@ -22,8 +55,87 @@ export const textFormat: ColorFormat = {
   bold: str => str,
   error: str => str,
   code: str => str,
+  italic: str => str,
+  link: (text, url) => `[${text}](${url})`,
+  option: str => str,
+  positional: str => str,
+  category: str => str,
+  deprecation: str => str,
 };
 
+/**
+ * Detects how many colors the terminal supports. `FORCE_COLOR` takes
+ * precedence over everything else (`0` to disable the colors, `1`, `2`, or
+ * `3` to force a given depth), followed by `NO_COLOR` and `TERM=dumb`. The
+ * colors are otherwise only enabled if one of the streams is a TTY.
+ */
+export function getColorDepth(env: Record<string, string | undefined> = process.env, streams: Array<{isTTY?: boolean} | undefined> = [process.stdout, process.stderr]): ColorDepth {
+  switch (env.FORCE_COLOR) {
+    case `0`:
+    case `false`:
+      return 1;
+
+    case `1`:
+    case `true`:
+    case ``:
+      return 4;
+
+    case `2`:
+      return 8;
+
+    case `3`:
+      return 24;
+  }
+
+  if (typeof env.NO_COLOR !== `undefined` && env.NO_COLOR !== ``)
+    return 1;
+  if (env.TERM === `dumb`)
+    return 1;
+
+  if (!streams.some(stream => typeof stream !== `undefined` && stream.isTTY))
+    return 1;
+
+  if (env.COLORTERM === `truecolor` || env.COLORTERM === `24bit`)
+    return 24;
+  if (env.TERM?.endsWith(`256color`))
+    return 8;
+
+  return 4;
+}
+
+/**
+ * Returns the number of columns the text will occupy once printed, ignoring
+ * the ANSI escape codes and hyperlink sequences it may contain.
+ */
+export function getVisibleLength(text: string) {
+  // eslint-disable-next-line no-control-regex
+  return text.replace(/\x1b\[[0-9;]*m|\x1b\]8;;[^\x1b]*\x1b\\/g, ``).length;
+}
+
+/**
+ * Wraps the text so that its lines don't exceed the given width, prefixing
+ * all lines but the first with the given indentation.
+ */
+export function wrapText(text: string, {columns, indent = 0}: {columns: number, indent?: number}) {
+  const width = Math.max(columns - indent, 1);
+
+  const lines: Array<string> = [];
+  let currentLine = ``;
+
+  for (const word of text.split(/ +/)) {
+    if (currentLine !== `` && getVisibleLength(currentLine) + 1 + getVisibleLength(word) > width) {
+      lines.push(currentLine);
+      currentLine = word;
+    } else {
+      currentLine = currentLine !== `` ? `${currentLine} ${word}` : word;
+    }
+  }
+
+  lines.push(currentLine);
+
+  return lines.join(`\n${` `.repeat(indent)}`);
+}
+
 function dedent(text: string) {
   const lines = text.split(`\n`);
   const nonEmptyLines = lines.filter(line => line.match(/\S/));
@@ -35,18 +147,80 @@ function dedent(text: string) {
     .join(`\n`);
 }
 
-export function formatMarkdownish(text: string, {format, paragraphs}: {format: ColorFormat, paragraphs: boolean}) {
-  // Enforce \n as newline character
-  text = text.replace(/\r\n?/g, `\n`);
+type MarkdownishBlock = {
+  type: `text` | `code` | `table`;
+  lines: Array<string>;
+};
 
-  // Remove the indentation, since it got messed up with the JS indentation
-  text = dedent(text);
+/**
+ * Splits the text into blocks, so that the fenced code blocks and the
+ * tables can be kept out of the reflow.
+ */
+function splitBlocks(text: string) {
+  const lines = text.split(`\n`);
+  const blocks: Array<MarkdownishBlock> = [];
 
+  for (let t = 0; t < lines.length; ++t) {
+    const line = lines[t];
+
+    if (line.match(/^\s*```/)) {
+      const block = [line];
+
+      // Unterminated blocks extend until the end of the text
+      while (t + 1 < lines.length) {
+        block.push(lines[++t]);
+        if (lines[t].match(/^\s*```\s*$/)) {
+          break;
+        }
+      }
+
+      blocks.push({type: `code`, lines: block});
+    } else if (line.match(/^\s*\|.*\|$/)) {
+      const block = [line];
+      while (t + 1 < lines.length && lines[t + 1].match(/^\s*\|.*\|$/))
+        block.push(lines[++t]);
+
+      blocks.push({type: `table`, lines: block});
+    } else {
+      const lastBlock = blocks[blocks.length - 1];
+      if (typeof lastBlock !== `undefined` && lastBlock.type === `text`) {
+        lastBlock.lines.push(line);
+      } else {
+        blocks.push({type: `text`, lines: [line]});
+      }
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Code spans are matched first, so that their content doesn't get
+ * interpreted as emphasis or links.
+ */
+const INLINE_REGEXP = /(`+)((?:.|[\n])*?)\1|\*\*((?:.|[\n])*?)\*\*|(?<!\w)_([^_]+?)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+function formatInline(text: string, format: ColorFormat) {
+  return text.replace(INLINE_REGEXP, ($0, ticks, code, bold, italic, label, url) => {
+    if (typeof ticks !== `undefined`)
+      return format.code($0);
+    if (typeof bold !== `undefined`)
+      return format.bold($0);
+    if (typeof italic !== `undefined`)
+      return format.italic($0);
+
+    return format.link(label, url);
+  });
+}
+
+function formatText(text: string, {format, paragraphs, columns}: {format: ColorFormat, paragraphs: boolean, columns: number}) {
   // Remove surrounding newlines, since they got added for JS formatting
   text = text.replace(/^\n+|\n+$/g, ``);
+  if (text === ``)
+    return text;
 
   // List items always end with at least two newlines (in order to not be collapsed)
-  text = text.replace(/^(\s*)-([^\n]*?)\n+/gm, `$1-$2\n\n`);
+  text = text.replace(/^(\s*)(-|[0-9]+\.(?=[\t ]))([^\n]*?)\n+/gm, `$1$2$3\n\n`);
 
   // Single newlines are removed; larger than that are collapsed into one
   text = text.replace(/\n(\n)?\n*/g, `$1`);
@@ -54,30 +228,79 @@ export function formatMarkdownish(text: string, {format, paragraphs}: {format: C
   if (paragraphs) {
     text = text.split(/\n/).map(paragraph => {
       // Does the paragraph starts with a list?
-      const bulletMatch = paragraph.match(/^\s*[*-][\t ]+(.*)/);
+      const bulletMatch = paragraph.match(/^\s*([*-]|[0-9]+\.)[\t ]+(.*)/);
 
       if (!bulletMatch)
-        // No, cut the paragraphs into segments of 80 characters
-        return paragraph.match(/(.{1,80})(?: |$)/g)!.join(`\n`);
+        // No, cut the paragraphs into segments of `columns` characters (the words longer than that get their own line)
+        return paragraph.match(new RegExp(`(.{1,${Math.max(columns, 1)}}|\\S+)(?: |$)`, `g`))!.join(`\n`);
 
       const indent = paragraph.length - paragraph.trimStart().length;
+      const marker = `${bulletMatch[1]} `;
 
-      // Yes, cut the paragraphs into segments of (78 - indent) characters (to account for the prefix)
-      return bulletMatch[1].match(new RegExp(`(.{1,${78 - indent}})(?: |$)`, `g`))!.map((line, index) => {
-        return ` `.repeat(indent) + (index === 0 ? `- ` : `  `) + line;
+      // Yes, cut the paragraphs into segments of (columns - marker - indent) characters (to account for the prefix)
+      return bulletMatch[2].match(new RegExp(`(.{1,${Math.max(columns - marker.length - indent, 1)}}|\\S+)(?: |$)`, `g`))!.map((line, index) => {
+        return ` `.repeat(indent) + (index === 0 ? marker : ` `.repeat(marker.length)) + line;
       }).join(`\n`);
     }).join(`\n\n`);
   }
 
-  // Highlight the code segments
-  text = text.replace(/(`+)((?:.|[\n])*?)\1/g, ($0, $1, $2) => {
-    return format.code($1 + $2 + $1);
+  return formatInline(text, format);
+}
+
+function formatTable(lines: Array<string>, format: ColorFormat) {
+  const rows = lines.map(line => {
+    // Escaped pipes are part of the cell content
+    return line.trim().slice(1, -1).split(/(?<!\\)\|/).map(cell => cell.trim());
   });
 
-  // Highlight the code segments
-  text = text.replace(/(\*\*)((?:.|[\n])*?)\1/g, ($0, $1, $2) => {
-    return format.bold($1 + $2 + $1);
+  const cells = rows.map(row => {
+    // The separator rows are regenerated once the column widths are known
+    return row.every(cell => cell.match(/^:?-+:?$/))
+      ? null
+      : row.map(cell => formatInline(cell, format));
   });
 
+  const widths: Array<number> = [];
+  for (const row of cells)
+    if (row !== null)
+      for (let t = 0; t < row.length; ++t)
+        widths[t] = Math.max(widths[t] ?? 0, getVisibleLength(row[t]));
+
+  return cells.map(row => {
+    const columns = widths.map((width, index) => {
+      if (row === null)
+        return `-`.repeat(Math.max(width, 3));
+
+      const cell = row[index] ?? ``;
+      return cell + ` `.repeat(Math.max(width, 3) - getVisibleLength(cell));
+    });
+
+    return `| ${columns.join(` | `)} |`;
+  }).join(`\n`);
+}
+
+export function formatMarkdownish(text: string, {format, paragraphs, columns = DEFAULT_COLUMNS}: {format: ColorFormat, paragraphs: boolean, columns?: number}) {
+  // Enforce \n as newline character
+  text = text.replace(/\r\n?/g, `\n`);
+
+  // Remove the indentation, since it got messed up with the JS indentation
+  text = dedent(text);
+
+  const segments = splitBlocks(text).map(({type, lines}) => {
+    switch (type) {
+      case `code`:
+        // Code blocks are kept verbatim, but highlighted line by line so that the escape codes don't span multiple lines
+        return lines.map(line => line !== `` ? format.code(line) : line).join(`\n`);
+
+      case `table`:
+        return formatTable(lines, format);
+
+      default:
+        return formatText(lines.join(`\n`), {format, paragraphs, columns});
+    }
+  }).filter(segment => segment !== ``);
+
+  text = segments.join(paragraphs ? `\n\n` : `\n`);
+
   return text ? `${text}\n` : ``;
 }
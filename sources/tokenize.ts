@@ -0,0 +1,106 @@
+import {TokenizeError} from './errors';
+
+/**
+ * Splits a command line into arguments, following the quoting rules of the
+ * POSIX shells:
+ *
+ * - Words are separated by unquoted whitespaces
+ * - Single quotes preserve their content as-is (except for `\'`)
+ * - Double quotes preserve their content, except for `\"`, `\\`, `\$`, and `` \` ``
+ * - Unquoted backslashes escape the following character
+ * - Unquoted `#` at the beginning of a word start a comment
+ *
+ * Variables, globs, and subshells aren't expanded. Unterminated quotes
+ * throw a `TokenizeError` pointing at the opening quote.
+ *
+ * @example
+ * tokenize(`install --flag "a b" 'c\\'d'`)
+ *     ► [`install`, `--flag`, `a b`, `c'd`]
+ */
+export function tokenize(line: string) {
+  const tokens: Array<string> = [];
+
+  let current = ``;
+  let hasToken = false;
+
+  for (let t = 0; t < line.length; ++t) {
+    const char = line[t];
+
+    if (char.match(/\s/)) {
+      if (hasToken)
+        tokens.push(current);
+
+      current = ``;
+      hasToken = false;
+      continue;
+    }
+
+    if (char === `#` && !hasToken) {
+      const newlineIndex = line.indexOf(`\n`, t);
+      if (newlineIndex === -1)
+        break;
+
+      t = newlineIndex;
+      continue;
+    }
+
+    switch (char) {
+      case `\\`: {
+        // A trailing backslash is kept as-is, and escaped newlines are line continuations (which don't start a word)
+        if (t + 1 === line.length) {
+          current += char;
+          hasToken = true;
+        } else if (line[++t] !== `\n`) {
+          current += line[t];
+          hasToken = true;
+        }
+      } break;
+
+      case `'`: {
+        const start = t;
+        hasToken = true;
+
+        while (++t < line.length && line[t] !== `'`) {
+          if (line[t] === `\\` && line[t + 1] === `'`)
+            t += 1;
+
+          current += line[t];
+        }
+
+        if (t === line.length) {
+          throw new TokenizeError(line, start, `Unterminated single quote`);
+        }
+      } break;
+
+      case `"`: {
+        const start = t;
+        hasToken = true;
+
+        while (++t < line.length && line[t] !== `"`) {
+          if (line[t] === `\\` && t + 1 < line.length && `"\\$\`\n`.includes(line[t + 1])) {
+            // Escaped newlines are line continuations
+            if (line[++t] === `\n`) {
+              continue;
+            }
+          }
+
+          current += line[t];
+        }
+
+        if (t === line.length) {
+          throw new TokenizeError(line, start, `Unterminated double quote`);
+        }
+      } break;
+
+      default: {
+        current += char;
+        hasToken = true;
+      } break;
+    }
+  }
+
+  if (hasToken)
+    tokens.push(current);
+
+  return tokens;
+}
@@ -1,10 +1,13 @@
-import chaiAsPromised                                             from 'chai-as-promised';
-import chai, {expect}                                             from 'chai';
-import getStream                                                  from 'get-stream';
-import {PassThrough}                                              from 'stream';
-import * as t                                                     from 'typanion';
+import chaiAsPromised                                                                                                                                              from 'chai-as-promised';
+import chai, {expect}                                                                                                                                              from 'chai';
+import fs                                                                                                                                                          from 'fs';
+import getStream                                                                                                                                                   from 'get-stream';
+import os                                                                                                                                                          from 'os';
+import path                                                                                                                                                        from 'path';
+import {PassThrough}                                                                                                                                               from 'stream';
+import * as t                                                                                                                                                      from 'typanion';
 
-import {Cli, CommandClass, Command, CliOptions, Option, Builtins} from '../sources/advanced';
+import {BaseContext, Cli, CommandClass, Command, CliOptions, Option, Builtins, Config, getColorDepth, EX_NOT_FOUND, EX_USAGE, Middleware, ReplOptions, UsageError} from '../sources/advanced';
 
 chai.use(chaiAsPromised);
 
@@ -16,7 +19,7 @@ const log = <T extends Command>(command: T, properties: Array<keyof T> = []) =>
   }
 };
 
-const runCli = async (cli: Cli | (() => Array<CommandClass>), args: Array<string>) => {
+const runCli = async (cli: Cli | (() => Array<CommandClass>), args: Array<string>, context: Partial<BaseContext> = {}) => {
   let finalCli;
 
   if (typeof cli === `function`) {
@@ -33,6 +36,7 @@ const runCli = async (cli: Cli | (() => Array<CommandClass>), args: Array<string
   const promise = getStream(stream);
 
   const exitCode = await finalCli.run(args, {
+    ...context,
     stdin: process.stdin,
     stdout: stream,
     stderr: stream,
@@ -208,6 +212,344 @@ describe(`Advanced`, () => {
         expect(await runCli(cli, [`--version`])).to.equal(`<unknown>\n`);
       });
     });
+
+    describe(`completion`, () => {
+      const makeCompletionCli = () => {
+        const cli = new Cli({binaryName: `my-cli`});
+        cli.register(Builtins.CompletionCommand);
+        cli.register(Builtins.CompletionRequestCommand);
+
+        cli.register(class InstallCommand extends Command {
+          static paths = [[`install`]];
+          frozenLockfile = Option.Boolean(`--frozen-lockfile`);
+          secret = Option.Boolean(`--secret`, {hidden: true});
+          async execute() {}
+        });
+
+        cli.register(class InfoCommand extends Command {
+          static paths = [[`info`]];
+          async execute() {}
+        });
+
+        return cli;
+      };
+
+      it(`should print a completion script for each supported shell`, async () => {
+        const cli = makeCompletionCli();
+
+        for (const shell of [`bash`, `zsh`, `fish`]) {
+          const output = await runCli(cli, [`--clipanion=completion`, shell]);
+
+          expect(output).to.contain(`my-cli --clipanion=complete`);
+          expect(output).to.contain(`_my_cli`);
+        }
+      });
+
+      it(`should reject unsupported shells`, async () => {
+        const cli = makeCompletionCli();
+
+        await expect(runCli(cli, [`--clipanion=completion`, `powershell`])).to.be.rejectedWith(`Unsupported shell "powershell"`);
+      });
+
+      it(`should print the candidates for the last word`, async () => {
+        const cli = makeCompletionCli();
+
+        expect(await runCli(cli, [`--clipanion=complete`, ``])).to.equal(`info\ninstall\n`);
+        expect(await runCli(cli, [`--clipanion=complete`, `ins`])).to.equal(`install\n`);
+        expect(await runCli(cli, [`--clipanion=complete`, `install`, `--`])).to.equal(`--frozen-lockfile\n`);
+        expect(await runCli(cli, [`--clipanion=complete`, `unknown`, ``])).to.equal(``);
+      });
+
+      it(`should print the values computed by the completion providers`, async () => {
+        const cli = makeCompletionCli();
+
+        cli.register(class CheckoutCommand extends Command {
+          static paths = [[`checkout`]];
+          remote = Option.String(`--remote`, {complete: () => [`origin`, `upstream`]});
+          branch = Option.String({complete: async partial => [`${partial}-feature`, `main`]});
+          files = Option.Rest({complete: (partial, {context}) => [context.cwd]});
+          async execute() {}
+        });
+
+        expect(await runCli(cli, [`--clipanion=complete`, `checkout`, `--remote`, `u`])).to.equal(`upstream\n`);
+        expect(await runCli(cli, [`--clipanion=complete`, `checkout`, `my`])).to.equal(`my-feature\n`);
+        expect(await cli.complete([`checkout`, `main`, `/`], {cwd: `/path/to/project`} as any)).to.deep.equal([`/path/to/project`]);
+      });
+    });
+
+    describe(`manpage`, () => {
+      const makeManpageCli = () => {
+        const cli = new Cli({binaryName: `my-cli`, binaryLabel: `My CLI`, binaryVersion: `1.2.3`});
+        cli.register(Builtins.ManpageCommand);
+
+        cli.register(class InstallCommand extends Command {
+          static paths = [[`install`]];
+          frozenLockfile = Option.Boolean(`--frozen-lockfile`, {description: `Abort if the lockfile would be modified`});
+          static usage = Command.Usage({
+            description: `install the dependencies`,
+            details: `
+              This command installs the dependencies listed in \`package.json\`.
+
+              - Pass \`--frozen-lockfile\` on CI
+            `,
+            examples: [[`Install the dependencies`, `$0 install`]],
+          });
+          async execute() {}
+        });
+
+        cli.register(class InfoCommand extends Command {
+          static paths = [[`info`]];
+          static usage = Command.Usage({description: `print information`});
+          async execute() {}
+        });
+
+        return cli;
+      };
+
+      it(`should generate one page per command, plus an index`, async () => {
+        const cli = makeManpageCli();
+        const pages = cli.manpages({date: `2021-01-01`});
+
+        expect(pages.map(({name, section}) => `${name}.${section}`)).to.deep.equal([`my-cli.1`, `my-cli-info.1`, `my-cli-install.1`]);
+
+        expect(pages[0].content).to.equal([
+          `.TH "MY\\-CLI" "1" "2021\\-01\\-01" "my\\-cli 1.2.3" "My CLI"`,
+          `.SH NAME`,
+          `my\\-cli \\- My CLI`,
+          `.SH SYNOPSIS`,
+          `.nf`,
+          `\\fBmy\\-cli\\fR <command>`,
+          `.fi`,
+          `.SH COMMANDS`,
+          `.TP`,
+          `\\fBmy\\-cli info\\fR`,
+          `print information`,
+          `.TP`,
+          `\\fBmy\\-cli install\\fR`,
+          `install the dependencies`,
+          `.SH SEE ALSO`,
+          `\\fBmy\\-cli\\-info\\fR(1),`,
+          `\\fBmy\\-cli\\-install\\fR(1)`,
+          ``,
+        ].join(`\n`));
+
+        expect(pages[2].content).to.equal([
+          `.TH "MY\\-CLI\\-INSTALL" "1" "2021\\-01\\-01" "my\\-cli 1.2.3" "My CLI"`,
+          `.SH NAME`,
+          `my\\-cli\\-install \\- install the dependencies`,
+          `.SH SYNOPSIS`,
+          `.nf`,
+          `\\fBmy\\-cli install\\fR`,
+          `.fi`,
+          `.SH DESCRIPTION`,
+          `.PP`,
+          `This command installs the dependencies listed in \\fBpackage.json\\fR.`,
+          `.IP \\(bu 2`,
+          `Pass \\fB\\-\\-frozen\\-lockfile\\fR on CI`,
+          `.SH OPTIONS`,
+          `.TP`,
+          `\\fB\\-\\-frozen\\-lockfile\\fR`,
+          `Abort if the lockfile would be modified`,
+          `.SH EXAMPLES`,
+          `.PP`,
+          `Install the dependencies`,
+          `.RS 4`,
+          `.nf`,
+          `$ my\\-cli install`,
+          `.fi`,
+          `.RE`,
+          `.SH SEE ALSO`,
+          `\\fBmy\\-cli\\fR(1)`,
+          ``,
+        ].join(`\n`));
+      });
+
+      it(`should print the requested page`, async () => {
+        const cli = makeManpageCli();
+
+        expect(await runCli(cli, [`--clipanion=manpage`])).to.equal(cli.manpages()[0].content);
+        expect(await runCli(cli, [`--clipanion=manpage`, `install`])).to.equal(cli.manpages()[2].content);
+
+        await expect(runCli(cli, [`--clipanion=manpage`, `remove`])).to.be.rejectedWith(`No manual page found for "my-cli remove"`);
+      });
+    });
+  });
+
+  it(`should generate the Markdown documentation of the commands`, async () => {
+    const cli = new Cli({binaryName: `my-cli`, binaryLabel: `My CLI`});
+
+    cli.register(class WorkspaceListCommand extends Command {
+      static paths = [[`workspace`, `list`]];
+      json = Option.Boolean(`--json`, {description: `Format the output as JSON | NDJSON`});
+      static usage = Command.Usage({
+        category: `Workspace-related commands`,
+        description: `list the workspaces`,
+        examples: [[`List the workspaces`, `$0 workspace list --json`]],
+      });
+      async execute() {}
+    });
+
+    cli.register(class WorkspaceForeachCommand extends Command {
+      static paths = [[`workspace`, `foreach`]];
+      static usage = Command.Usage({category: `Workspace-related commands`});
+      async execute() {}
+    });
+
+    cli.register(class InstallCommand extends Command {
+      static paths = [[`install`]];
+      static usage = Command.Usage({description: `install the dependencies`});
+      async execute() {}
+    });
+
+    cli.register(class HiddenCommand extends Command {
+      static paths = [[`hidden`]];
+      async execute() {}
+    });
+
+    const pages = cli.markdown();
+
+    expect(pages.map(({path}) => path)).to.deep.equal([
+      `index.md`,
+      `general-commands/my-cli-install.md`,
+      `workspace-related-commands/my-cli-workspace-foreach.md`,
+      `workspace-related-commands/my-cli-workspace-list.md`,
+    ]);
+
+    expect(pages[0].content).to.equal([
+      `---`,
+      `id: "index"`,
+      `title: "My CLI"`,
+      `---`,
+      ``,
+      `# My CLI`,
+      ``,
+      `## General commands`,
+      ``,
+      `- [\`my-cli install\`](general-commands/my-cli-install.md): install the dependencies`,
+      ``,
+      `## Workspace-related commands`,
+      ``,
+      `- [\`my-cli workspace foreach\`](workspace-related-commands/my-cli-workspace-foreach.md)`,
+      `- [\`my-cli workspace list\`](workspace-related-commands/my-cli-workspace-list.md): list the workspaces`,
+      ``,
+    ].join(`\n`));
+
+    expect(pages[3].content).to.equal([
+      `---`,
+      `id: "my-cli-workspace-list"`,
+      `title: "my-cli workspace list"`,
+      `description: "list the workspaces"`,
+      `category: "Workspace-related commands"`,
+      `---`,
+      ``,
+      `# \`my-cli workspace list\``,
+      ``,
+      `list the workspaces`,
+      ``,
+      `## Usage`,
+      ``,
+      `\`\`\``,
+      `$ my-cli workspace list`,
+      `\`\`\``,
+      ``,
+      `## Options`,
+      ``,
+      `| Definition | Description |`,
+      `| --- | --- |`,
+      `| \`--json\` | Format the output as JSON \\| NDJSON |`,
+      ``,
+      `## Examples`,
+      ``,
+      `List the workspaces:`,
+      ``,
+      `\`\`\``,
+      `$ my-cli workspace list --json`,
+      `\`\`\``,
+      ``,
+      `## See also`,
+      ``,
+      `- [\`my-cli workspace foreach\`](my-cli-workspace-foreach.md)`,
+      ``,
+    ].join(`\n`));
+
+    expect(cli.markdown()).to.deep.equal(pages);
+  });
+
+  it(`should write the Markdown documentation into a directory`, async () => {
+    const cli = new Cli({binaryName: `my-cli`});
+    cli.register(Builtins.MarkdownCommand);
+
+    cli.register(class DefaultCommand extends Command {
+      static usage = Command.Usage({description: `run the default action`});
+      async execute() {}
+    });
+
+    cli.register(class InstallCommand extends Command {
+      static paths = [[`install`]];
+      static usage = Command.Usage({category: `Package commands`, description: `install the dependencies`});
+      async execute() {}
+    });
+
+    const pages = cli.markdown();
+
+    // The index and the default command must not share the same id
+    const ids = pages.map(({content}) => content.match(/^id: (.*)$/m)![1]);
+    expect(ids).to.deep.equal([`"index"`, `"my-cli"`, `"my-cli-install"`]);
+
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), `clipanion-`));
+
+    try {
+      const pagePaths = pages.map(page => path.join(outputDir, page.path));
+      expect(await runCli(cli, [`--clipanion=markdown`, `--output`, outputDir])).to.equal(pagePaths.map(pagePath => `${pagePath}\n`).join(``));
+
+      for (let t = 0; t < pages.length; ++t)
+        expect(fs.readFileSync(pagePaths[t], `utf8`)).to.equal(pages[t].content);
+
+      expect(cli.writeMarkdown(outputDir)).to.deep.equal(pagePaths);
+    } finally {
+      fs.rmSync(outputDir, {recursive: true, force: true});
+    }
+  });
+
+  it(`should export the JSON Schema of the commands`, async () => {
+    const cli = new Cli({binaryName: `my-cli`});
+    cli.register(Builtins.SchemaCommand);
+
+    cli.register(class RunCommand extends Command {
+      static paths = [[`run`]];
+      static usage = Command.Usage({description: `run a script`});
+
+      verbose = Option.Boolean(`-v,--verbose`, false, {description: `Log more output`});
+      format = Option.Enum(`--format`, [`json`, `text`], {hidden: true});
+      retries = Option.Integer(`--retries`, {min: 0, required: true});
+      port = Option.String(`--port`, {validator: t.isNumber()});
+      script = Option.String();
+      args = Option.Proxy();
+
+      async execute() {}
+    });
+
+    const schemas = cli.schemas();
+
+    expect(schemas).to.deep.equal([{
+      $schema: `http://json-schema.org/draft-07/schema#`,
+      title: `my-cli run`,
+      description: `run a script`,
+      type: `object`,
+      properties: {
+        verbose: {type: `boolean`, description: `Log more output`, default: false, [`x-clipanion`]: {kind: `option`, names: [`-v`, `--verbose`], arity: 0, hidden: false, required: false}},
+        format: {type: `string`, enum: [`json`, `text`], [`x-clipanion`]: {kind: `option`, names: [`--format`], arity: 1, hidden: true, required: false}},
+        retries: {type: `integer`, minimum: 0, [`x-clipanion`]: {kind: `option`, names: [`--retries`], arity: 1, hidden: false, required: true}},
+        port: {type: `number`, [`x-clipanion`]: {kind: `option`, names: [`--port`], arity: 1, hidden: false, required: false}},
+        script: {type: `string`, [`x-clipanion`]: {kind: `positional`, name: `script`, required: true}},
+        args: {type: `array`, items: {type: `string`}, minItems: 0, [`x-clipanion`]: {kind: `proxy`, name: `args`, required: 0}},
+      },
+      required: [`retries`, `script`],
+      additionalProperties: false,
+      [`x-clipanion`]: {paths: [[`run`]]},
+    }]);
+
+    expect(JSON.parse(await runCli(cli, [`--clipanion=schema`]))).to.deep.equal(JSON.parse(JSON.stringify(schemas)));
   });
 
   it(`should print the general help listing when using --help on the raw command`, async () => {
@@ -373,6 +715,26 @@ describe(`Advanced`, () => {
     expect(output).to.equal(`Running CommandB\n"hello"\n`);
   });
 
+  it(`should support short options with attached values`, async () => {
+    const output = await runCli(() => {
+      class CommandA extends Command {
+        verbose = Option.Boolean(`-v`);
+        count = Option.String(`-n`);
+        output = Option.String(`-o`);
+
+        async execute() {
+          log(this, [`verbose`, `count`, `output`]);
+        }
+      }
+
+      return [
+        CommandA,
+      ];
+    }, [`-vn5`, `-ofile.txt`]);
+
+    expect(output).to.equal(`Running CommandA\ntrue\n"5"\n"file.txt"\n`);
+  });
+
   it(`should support inheritance of positionals (consumed starting from the superclass)`, async () => {
     const output = await runCli(() => {
       abstract class CommandA extends Command {
@@ -615,6 +977,1367 @@ describe(`Advanced`, () => {
     expect(cli.usage(CommandA, {detailed: true})).to.match(/\u001b\[1m\$ \u001b\[22m\.\.\. greet \[--message #0\]\n\n\u001b\[1m━━━ Options .*\n\n +\S*--verbose *\S* +Log output\n +\S*--output #0 *\S* +The output directory\n/);
   });
 
+  it(`should wrap the option descriptions to the width of the output`, async () => {
+    class CommandA extends Command {
+      output = Option.String(`--output`, {description: `The directory where the \`build\` artifacts will be written`});
+
+      static paths = [[`build`]];
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false, columns: 40});
+
+    const usage = cli.usage(CommandA, {detailed: true});
+    expect(usage).to.contain([
+      `  --output #0    The directory where the`,
+      `                 \`build\` artifacts will`,
+      `                 be written`,
+    ].join(`\n`));
+
+    // The escape codes don't count in the width of the descriptions
+    const coloredUsage = cli.usage(CommandA, {detailed: true, colored: true});
+    // eslint-disable-next-line no-control-regex
+    expect(coloredUsage.replace(/\x1b\[[0-9;]*m/g, ``)).to.contain(usage.split(`\n`).slice(4).join(`\n`));
+
+    expect(Cli.from([CommandA], {enableColors: false}).usage(CommandA, {detailed: true})).to.contain(`  --output #0    The directory where the \`build\` artifacts will be written\n`);
+  });
+
+  it(`should format the usage even on very narrow outputs`, async () => {
+    class CommandA extends Command {
+      output = Option.String(`--output`, {description: `The output directory`});
+
+      static paths = [[`build`]];
+      static usage = Command.Usage({
+        description: `Build the project`,
+        details: `
+          The build runs in two steps:
+
+          1. The sources are compiled
+          - The assets are copied
+        `,
+      });
+
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false});
+
+    for (const columns of [0, 1, 3]) {
+      const usage = cli.usage(CommandA, {detailed: true, columns});
+      expect(usage).to.contain(`The \nbuild \nruns \nin \ntwo \nsteps:\n`);
+      expect(usage).to.contain(`1. The \n   sources \n   are \n   compiled\n`);
+      expect(usage).to.contain(`- The \n  assets \n  are \n  copied\n`);
+
+      expect(cli.usage(null, {columns})).to.contain(`build`);
+    }
+  });
+
+  it(`should use the width of the output stream and the COLUMNS variable`, async () => {
+    class CommandA extends Command {
+      output = Option.String(`--output`, {description: `The directory where the artifacts will be written`});
+
+      static paths = [[`build`]];
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false});
+
+    const run = async (env: Record<string, string>, columns?: number) => {
+      const stdout = Object.assign(new PassThrough(), {columns});
+      await cli.run([`build`, `-h`], {stdin: process.stdin, stdout, stderr: stdout, env});
+      stdout.end();
+
+      return await getStream(stdout);
+    };
+
+    expect(await run({}, 40)).to.contain(`  --output #0    The directory where the\n                 artifacts will be\n                 written\n`);
+    expect(await run({COLUMNS: `50`}, 40)).to.contain(`  --output #0    The directory where the artifacts\n                 will be written\n`);
+    expect(await run({})).to.contain(`  --output #0    The directory where the artifacts will be written\n`);
+  });
+
+  it(`should format the markdown of the command details`, async () => {
+    class CommandA extends Command {
+      static paths = [[`build`]];
+      static usage = Command.Usage({
+        details: `
+          The build runs in _three_ steps, described in the [docs](https://example.org):
+
+          1. The sources are compiled into the output directory, which defaults to \`dist\`
+          2. The assets are copied
+
+          \`\`\`
+          $ build --output  lib
+          $ build --watch
+          \`\`\`
+
+          | Option | Effect |
+          | --- | --- |
+          | \`--watch\` | Rebuild on change |
+        `,
+      });
+
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false, columns: 40});
+
+    expect(cli.usage(CommandA, {detailed: true})).to.contain([
+      `The build runs in _three_ steps, `,
+      `described in the `,
+      `[docs](https://example.org):`,
+      ``,
+      `1. The sources are compiled into the `,
+      `   output directory, which defaults to `,
+      `   \`dist\``,
+      ``,
+      `2. The assets are copied`,
+      ``,
+      `\`\`\``,
+      `$ build --output  lib`,
+      `$ build --watch`,
+      `\`\`\``,
+      ``,
+      `| Option    | Effect            |`,
+      `| --------- | ----------------- |`,
+      `| \`--watch\` | Rebuild on change |`,
+      ``,
+    ].join(`\n`));
+
+    const coloredUsage = cli.usage(CommandA, {detailed: true, colored: true});
+    expect(coloredUsage).to.contain(`\x1b[3m_three_\x1b[23m`);
+    expect(coloredUsage).to.contain(`\x1b]8;;https://example.org\x1b\\docs\x1b]8;;\x1b\\:`);
+    expect(coloredUsage).to.contain(`| \x1b[36m\`--watch\`\x1b[39m | Rebuild on change |`);
+  });
+
+  it(`should apply the theme to the colored usage`, async () => {
+    class CommandA extends Command {
+      output = Option.String(`--output`, {description: `The output directory`});
+      entry = Option.String();
+
+      static paths = [[`build`]];
+      static usage = Command.Usage({
+        category: `Building`,
+        description: `build the project`,
+        deprecated: `use \`compile\` instead`,
+      });
+
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA], {
+      enableColors: true,
+      theme: {
+        header: str => `<header>${str}</header>`,
+        option: str => `<option>${str}</option>`,
+        positional: str => `<positional>${str}</positional>`,
+        category: str => `<category>${str}</category>`,
+        deprecation: str => `<deprecation>${str}</deprecation>`,
+      },
+    });
+
+    const usage = cli.usage(CommandA, {detailed: true});
+    expect(usage).to.contain(`<deprecation>Deprecated: use \x1b[36m\`compile\`\x1b[39m instead</deprecation>\n`);
+    expect(usage).to.contain(`build <positional><entry></positional>\n`);
+    expect(usage).to.contain(`<header>Options</header>`);
+    expect(usage).to.contain(`  <option>--output #0</option>    The output directory\n`);
+
+    expect(cli.usage()).to.contain(`<header><category>Building</category></header>`);
+
+    // The theme is ignored when the colors are disabled
+    const uncoloredUsage = cli.usage(CommandA, {detailed: true, colored: false});
+    expect(uncoloredUsage).to.contain(`Deprecated: use \`compile\` instead\n`);
+    expect(uncoloredUsage).to.contain(`  --output #0    The output directory\n`);
+  });
+
+  it(`should detect the color depth of the terminal`, async () => {
+    const tty = [{isTTY: true}];
+
+    expect(getColorDepth({}, tty)).to.equal(4);
+    expect(getColorDepth({}, [{isTTY: false}, {isTTY: true}])).to.equal(4);
+    expect(getColorDepth({}, [{isTTY: false}, undefined])).to.equal(1);
+
+    expect(getColorDepth({TERM: `xterm-256color`}, tty)).to.equal(8);
+    expect(getColorDepth({COLORTERM: `truecolor`}, tty)).to.equal(24);
+
+    expect(getColorDepth({NO_COLOR: `1`}, tty)).to.equal(1);
+    expect(getColorDepth({NO_COLOR: ``}, tty)).to.equal(4);
+    expect(getColorDepth({TERM: `dumb`}, tty)).to.equal(1);
+
+    expect(getColorDepth({FORCE_COLOR: `0`}, tty)).to.equal(1);
+    expect(getColorDepth({FORCE_COLOR: `1`, NO_COLOR: `1`}, [])).to.equal(4);
+    expect(getColorDepth({FORCE_COLOR: `2`}, [])).to.equal(8);
+    expect(getColorDepth({FORCE_COLOR: `3`, TERM: `dumb`}, [])).to.equal(24);
+  });
+
+  it(`should write the errors to stderr and return the matching exit code`, async () => {
+    class FailureError extends Error {
+      clipanion = {type: `none` as const, exitCode: 3};
+    }
+
+    class CommandA extends Command {
+      mode = Option.String(`--mode`);
+
+      static paths = [[`build`]];
+      async execute() {
+        if (this.mode === `usage`)
+          throw new UsageError(`Invalid mode`);
+        if (this.mode === `failure`)
+          throw new FailureError(`Build failed`);
+        if (this.mode === `crash`)
+          throw new Error(`Unexpected error`);
+
+        this.context.stdout.write(`Built\n`);
+      }
+    }
+
+    const run = async (cli: Cli, args: Array<string>) => {
+      const stdout = new PassThrough();
+      const stderr = new PassThrough();
+
+      const exitCode = await cli.run(args, {stdin: process.stdin, stdout, stderr});
+      stdout.end();
+      stderr.end();
+
+      return {exitCode, stdout: await getStream(stdout), stderr: await getStream(stderr)};
+    };
+
+    const cli = Cli.from([CommandA], {enableColors: false});
+
+    expect(await run(cli, [`build`])).to.deep.equal({exitCode: 0, stdout: `Built\n`, stderr: ``});
+
+    const notFound = await run(cli, [`bulid`]);
+    expect(notFound).to.deep.include({exitCode: EX_NOT_FOUND, stdout: ``});
+    expect(notFound.stderr).to.contain(`Command not found`);
+
+    expect(await run(cli, [`build`, `--unknown`])).to.deep.include({exitCode: EX_USAGE, stdout: ``});
+    expect(await run(cli, [`build`, `--mode=usage`])).to.deep.equal({exitCode: EX_USAGE, stdout: ``, stderr: `Usage Error: Invalid mode\n\n$ ... build [--mode #0]\n`});
+    expect(await run(cli, [`build`, `--mode=failure`])).to.deep.include({exitCode: 3, stdout: ``});
+    expect(await run(cli, [`build`, `--mode=crash`])).to.deep.include({exitCode: 1, stdout: ``});
+
+    const legacyCli = Cli.from([CommandA], {enableColors: false, errorStream: `stdout`});
+    expect(await run(legacyCli, [`build`, `--mode=usage`])).to.deep.equal({exitCode: EX_USAGE, stdout: `Usage Error: Invalid mode\n\n$ ... build [--mode #0]\n`, stderr: ``});
+  });
+
+  it(`should print the errors as JSON when requested`, async () => {
+    class CommandA extends Command {
+      static paths = [[`build`]];
+      async execute() {
+        throw new UsageError(`Invalid mode`);
+      }
+    }
+
+    class CommandB extends Command {
+      static paths = [[`build`, `all`]];
+      async execute() {}
+    }
+
+    const run = async (cli: Cli, args: Array<string>) => {
+      const stderr = new PassThrough();
+
+      const exitCode = await cli.run(args, {stdin: process.stdin, stdout: new PassThrough(), stderr});
+      stderr.end();
+
+      return {exitCode, report: JSON.parse(await getStream(stderr))};
+    };
+
+    const cli = Cli.from([CommandA, CommandB], {enableColors: false, errorFormat: `json`});
+
+    expect(await run(cli, [`build`])).to.deep.equal({exitCode: EX_USAGE, report: {
+      name: `UsageError`,
+      message: `Invalid mode`,
+      exitCode: EX_USAGE,
+      input: [`build`],
+    }});
+
+    const {report: notFoundReport} = await run(cli, [`biuld`, `al`]);
+    expect(notFoundReport).to.deep.include({name: `UnknownSyntaxError`, exitCode: EX_NOT_FOUND, input: [`biuld`, `al`]});
+    expect(notFoundReport.candidates.map(({usage}: {usage: string}) => usage)).to.have.members([`... build`, `... build all`]);
+    expect(notFoundReport.suggestions).to.deep.equal([`build`]);
+
+    class CommandC extends Command {
+      static paths = [[`build`, `all`]];
+      async execute() {}
+    }
+
+    const ambiguousCli = Cli.from([CommandB, CommandC], {errorFormat: `json`});
+    expect(await run(ambiguousCli, [`build`, `all`])).to.deep.include({exitCode: EX_USAGE});
+    expect((await run(ambiguousCli, [`build`, `all`])).report).to.deep.include({name: `AmbiguousSyntaxError`, alternatives: [`... build all`, `... build all`]});
+
+    // The flag can be passed on a single invocation, and is removed from the input
+    const textCli = Cli.from([CommandA, CommandB], {enableColors: false});
+    expect(await run(textCli, [`--clipanion-errors=json`, `build`])).to.deep.include({exitCode: EX_USAGE});
+
+    class CommandD extends Command {
+      static paths = [[`echo`]];
+      args = Option.Proxy();
+
+      async execute() {
+        this.context.stdout.write(`${this.cli.errorFormat} ${JSON.stringify(this.args)}\n`);
+      }
+    }
+
+    // It's only recognized in leading position, and the commands see the format of the current invocation
+    expect(await runCli(() => [CommandD], [`echo`, `--clipanion-errors=json`])).to.equal(`text ["--clipanion-errors=json"]\n`);
+    expect(await runCli(() => [CommandD], [`--clipanion-errors=json`, `echo`, `foo`])).to.equal(`json ["foo"]\n`);
+  });
+
+  it(`should run the middlewares around the commands`, async () => {
+    const events: Array<string> = [];
+
+    class CommandA extends Command {
+      mode = Option.String(`--mode`);
+
+      static paths = [[`build`]];
+      async execute() {
+        events.push(`execute ${this.mode}`);
+
+        if (this.mode === `fail`)
+          throw new Error(`Build failed`);
+
+        return 0;
+      }
+    }
+
+    class CommandB extends Command {
+      static paths = [[`clean`]];
+      static skipMiddlewares = [`outer`];
+
+      async execute() {
+        events.push(`execute clean`);
+      }
+    }
+
+    const cli = Cli.from([CommandA, CommandB]);
+
+    cli.use({
+      name: `outer`,
+      before: ({path, commandClass}) => {
+        events.push(`outer before ${path.join(` `)} ${commandClass.name}`);
+      },
+      after: (info, exitCode) => {
+        events.push(`outer after ${exitCode}`);
+        return exitCode + 1;
+      },
+      error: (info, error) => {
+        events.push(`outer error ${error.message}`);
+        return 42;
+      },
+    });
+
+    cli.use({
+      name: `inner`,
+      before: ({command}) => {
+        return (command as CommandA).mode === `skip` ? 3 : undefined;
+      },
+      around: async (info, next) => {
+        events.push(`inner around start`);
+        try {
+          return await next();
+        } finally {
+          events.push(`inner around end`);
+        }
+      },
+    });
+
+    expect(await cli.run([`build`, `--mode=ok`], Cli.defaultContext)).to.equal(1);
+    expect(events.splice(0)).to.deep.equal([
+      `outer before build CommandA`,
+      `inner around start`,
+      `execute ok`,
+      `inner around end`,
+      `outer after 0`,
+    ]);
+
+    expect(await cli.run([`build`, `--mode=skip`], Cli.defaultContext)).to.equal(4);
+    expect(events.splice(0)).to.deep.equal([
+      `outer before build CommandA`,
+      `outer after 3`,
+    ]);
+
+    expect(await cli.run([`build`, `--mode=fail`], Cli.defaultContext)).to.equal(42);
+    expect(events.splice(0)).to.deep.equal([
+      `outer before build CommandA`,
+      `inner around start`,
+      `execute fail`,
+      `inner around end`,
+      `outer error Build failed`,
+    ]);
+
+    expect(await cli.run([`clean`], Cli.defaultContext)).to.equal(0);
+    expect(events.splice(0)).to.deep.equal([
+      `inner around start`,
+      `execute clean`,
+      `inner around end`,
+    ]);
+  });
+
+  it(`should rethrow the original error unless the error hooks return a replacement`, async () => {
+    class CommandA extends Command {
+      async execute(): Promise<number> {
+        throw new UsageError(`Original error`);
+      }
+    }
+
+    const run = async (error: Middleware[`error`]) => {
+      const cli = Cli.from([CommandA], {enableColors: false});
+      cli.use({error});
+
+      const stream = new PassThrough();
+      const promise = getStream(stream);
+
+      const exitCode = await cli.run([], {stdin: process.stdin, stdout: stream, stderr: stream});
+      stream.end();
+
+      return {exitCode, output: await promise};
+    };
+
+    expect(await run(() => {})).to.deep.contain({exitCode: EX_USAGE, output: `Usage Error: Original error\n\n$ ...\n`});
+    expect(await run(async () => new UsageError(`Replacement error`))).to.deep.contain({exitCode: EX_USAGE, output: `Usage Error: Replacement error\n\n$ ...\n`});
+    expect(await run(() => 0)).to.deep.contain({exitCode: 0, output: ``});
+  });
+
+  // AbortController is only available as a global since Node 15
+  const itWithAbortController = typeof AbortController !== `undefined` ? it : it.skip;
+
+  itWithAbortController(`should abort the context signal when receiving SIGINT`, async () => {
+    const events: Array<string> = [];
+
+    class CommandA extends Command {
+      static paths = [[`wait`]];
+      async execute() {
+        await new Promise(resolve => this.context.signal!.addEventListener(`abort`, resolve));
+        events.push(`aborted`);
+
+        // The sub-invocations share the same signal
+        return await this.cli.run([`check`]);
+      }
+    }
+
+    class CommandB extends Command {
+      static paths = [[`check`]];
+      async execute() {
+        events.push(`check ${this.context.signal!.aborted}`);
+      }
+    }
+
+    const cli = Cli.from([CommandA, CommandB]);
+
+    const exit = process.exit;
+    const listenerCount = process.listenerCount(`SIGINT`);
+
+    try {
+      process.exit = ((code: number) => {
+        events.push(`exit ${code}`);
+      }) as any;
+
+      const promise = cli.runExit([`wait`], Cli.defaultContext);
+      process.emit(`SIGINT` as any);
+      process.emit(`SIGINT` as any);
+      await promise;
+
+      expect(events).to.deep.equal([`exit 130`, `aborted`, `check true`]);
+      expect(process.exitCode).to.equal(130);
+
+      // The handlers are removed once the command returns
+      expect(process.listenerCount(`SIGINT`)).to.equal(listenerCount);
+    } finally {
+      process.exit = exit;
+      process.exitCode = 0;
+    }
+  });
+
+  it(`should run commands through runExit when AbortController isn't available`, async () => {
+    class CommandA extends Command {
+      async execute() {
+        this.context.stdout.write(`${typeof this.context.signal}\n`);
+      }
+    }
+
+    const cli = Cli.from([CommandA]);
+
+    const stream = new PassThrough();
+    const promise = getStream(stream);
+
+    const globalObject = global as {AbortController?: unknown};
+    const {AbortController} = globalObject;
+
+    try {
+      delete globalObject.AbortController;
+
+      await cli.runExit([], {...Cli.defaultContext, stdout: stream});
+      stream.end();
+
+      expect(await promise).to.equal(`undefined\n`);
+      expect(process.exitCode).to.equal(0);
+    } finally {
+      globalObject.AbortController = AbortController;
+      process.exitCode = 0;
+    }
+  });
+
+  itWithAbortController(`should forward an already aborted signal to the commands`, async () => {
+    class CommandA extends Command {
+      async execute() {
+        this.context.stdout.write(`${this.context.signal!.aborted}\n`);
+      }
+    }
+
+    const cli = Cli.from([CommandA]);
+
+    const controller = new AbortController();
+    controller.abort();
+
+    const stream = new PassThrough();
+    const promise = getStream(stream);
+
+    try {
+      await cli.runExit([], {...Cli.defaultContext, stdout: stream, signal: controller.signal});
+      stream.end();
+
+      expect(await promise).to.equal(`true\n`);
+    } finally {
+      process.exitCode = 0;
+    }
+  });
+
+  const runPrompts = async (cli: Cli, args: Array<string>, answers: string, {isTTY = true}: {isTTY?: boolean} = {}) => {
+    const stdin = Object.assign(new PassThrough(), {isTTY});
+    stdin.end(answers);
+
+    const stream = new PassThrough();
+    const promise = getStream(stream);
+
+    const exitCode = await cli.run(args, {stdin, stdout: stream, stderr: stream});
+    stream.end();
+
+    return {exitCode, output: await promise};
+  };
+
+  it(`should prompt for the missing required values`, async () => {
+    class CommandA extends Command {
+      name = Option.String();
+      token = Option.String(`--token`, {required: true, prompt: {message: `Token`, mask: true}});
+      format = Option.Enum(`--format`, [`json`, `yaml`], {required: true, description: `The output format`});
+      retries = Option.Integer(`--retries`, {required: true, min: 0});
+      force = Option.Boolean(`--force`, {required: true});
+
+      async execute() {
+        log(this, [`name`, `token`, `format`, `retries`, `force`]);
+        this.context.stdout.write(`${this.getOptionSource(`name`).type} ${this.getOptionSource(`retries`).type}\n`);
+      }
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false, enablePrompts: true});
+
+    expect(await runPrompts(cli, [`--retries=3`], `foo\nsecret\n3\nyaml\nmaybe\ny\n`)).to.deep.equal({
+      exitCode: 0,
+      output: `name: Token: ******\nThe output format\n  1) json\n  2) yaml\nChoice (1-2): Choice (1-2): --force (y/n) --force (y/n) Running CommandA\n"foo"\n"secret"\n"yaml"\n3\ntrue\nprompt argv\n`,
+    });
+
+    // Invalid answers are reported before asking again
+    expect(await runPrompts(cli, [`foo`, `--token=secret`, `--format=json`, `--force`], `abc\n-1\n2\n`)).to.deep.equal({
+      exitCode: 0,
+      output: `--retries: Invalid value for --retries: expected an integer (got "abc")\n--retries: Invalid value for --retries: expected an integer greater than or equal to 0 (got "-1")\n--retries: Running CommandA\n"foo"\n"secret"\n"json"\n2\ntrue\nargv prompt\n`,
+    });
+  });
+
+  it(`should prompt for the missing values only when the input is a terminal`, async () => {
+    class CommandA extends Command {
+      name = Option.String();
+
+      async execute() {
+        log(this, [`name`]);
+      }
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false, enablePrompts: true});
+
+    const nonInteractive = await runPrompts(cli, [], `foo\n`, {isTTY: false});
+    expect(nonInteractive.exitCode).to.equal(EX_USAGE);
+    expect(nonInteractive.output).to.not.contain(`name:`);
+
+    const disabled = await runPrompts(Cli.from([CommandA], {enableColors: false}), [], `foo\n`);
+    expect(disabled.exitCode).to.equal(EX_USAGE);
+
+    // The input ends before the user answers
+    const ended = await runPrompts(cli, [], ``);
+    expect(ended.exitCode).to.equal(EX_USAGE);
+    expect(ended.output).to.contain(`Missing value for name`);
+  });
+
+  it(`should still require the values that can't be prompted for`, async () => {
+    class CommandA extends Command {
+      pair = Option.String(`--pair`, {required: true, arity: 2});
+
+      async execute() {
+        log(this, [`pair`]);
+      }
+    }
+
+    class CommandB extends Command {
+      tb = Option.String(`--tb`, {required: true, tolerateBoolean: true});
+
+      async execute() {
+        log(this, [`tb`]);
+      }
+    }
+
+    class CommandC extends Command {
+      name = Option.String();
+      rest = Option.Rest({required: 1});
+
+      async execute() {
+        log(this, [`name`, `rest`]);
+      }
+    }
+
+    for (const commandClass of [CommandA, CommandB, CommandC]) {
+      const cli = Cli.from([commandClass], {enableColors: false, enablePrompts: true});
+
+      const {exitCode, output} = await runPrompts(cli, [], `foo\nbar\n`);
+      expect(exitCode).to.not.equal(0);
+      expect(output).to.not.contain(`Running`);
+    }
+  });
+
+  const runRepl = async (cli: Cli, chunks: Array<string>, opts: ReplOptions = {}, {isTTY = false}: {isTTY?: boolean} = {}) => {
+    const stdin = Object.assign(new PassThrough(), {isTTY});
+
+    const stream = new PassThrough();
+    const promise = getStream(stream);
+
+    const repl = cli.repl({stdin, stdout: stream, stderr: stream, env: {}}, opts);
+
+    // Readline disables the completion for the chunks containing more than a single keypress
+    for (const chunk of chunks) {
+      stdin.write(chunk);
+      await new Promise(setImmediate);
+    }
+
+    stdin.end();
+
+    const exitCode = await repl;
+    stream.end();
+
+    return {exitCode, output: await promise};
+  };
+
+  it(`should run the commands read by the repl`, async () => {
+    class CommandA extends Command {
+      static paths = [[`greet`]];
+      name = Option.String();
+
+      async execute() {
+        log(this, [`name`]);
+        return this.name === `fail` ? 2 : 0;
+      }
+    }
+
+    const cli = Cli.from([CommandA], {binaryName: `admin`, enableColors: false});
+    const history = [`greet old`];
+
+    const {exitCode, output} = await runRepl(cli, [`greet "John Doe"\n\ngreet 'unterminated\nfoo\ngreet fail\nhelp greet\nhistory\nexit 3\ngreet never\n`], {history});
+
+    // The session survives the errors, and stops at the `exit` builtin
+    expect(exitCode).to.equal(3);
+    expect(output).to.contain(`admin> Running CommandA\n"John Doe"\nadmin> admin> Tokenize Error: Unterminated single quote (line 1, column 7)\n\ngreet 'unterminated\n      ^\nadmin> `);
+    expect(output).to.contain(`admin> Unknown Syntax Error: Command not found; did you mean:\n\n$ admin greet <name>\nWhile running foo\nadmin> Running CommandA\n"fail"\nadmin> $ admin greet <name>\n`);
+    expect(output).to.contain(`admin>     1  greet old\n    2  greet "John Doe"\n    3  foo\n    4  greet fail\n    5  help greet\n    6  history\nadmin> `);
+    expect(output).to.not.contain(`never`);
+
+    expect(history).to.deep.equal([`greet old`, `greet "John Doe"`, `foo`, `greet fail`, `help greet`, `history`, `exit 3`]);
+  });
+
+  it(`should let the commands run by the repl prompt for their missing values`, async () => {
+    class CommandA extends Command {
+      static paths = [[`login`]];
+      token = Option.String(`--token`, {required: true, prompt: {message: `Token`}});
+
+      async execute() {
+        log(this, [`token`]);
+      }
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false, enablePrompts: true});
+
+    const {exitCode, output} = await runRepl(cli, [`login\r`, `secret\r`, `login --token=foo\r`], {}, {isTTY: true});
+
+    // The answer isn't run as a command, and the session goes on until the end of the input
+    expect(exitCode).to.equal(0);
+    expect(output).to.contain(`Token: Running CommandA\n"secret"\n`);
+    expect(output).to.contain(`Running CommandA\n"foo"\n`);
+    expect(output).to.not.contain(`Command not found`);
+  });
+
+  it(`should run command lines`, async () => {
+    class CommandA extends Command {
+      static paths = [[`install`]];
+      flag = Option.String(`--flag`);
+      values = Option.Rest();
+
+      async execute() {
+        log(this, [`flag`, `values`]);
+      }
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false});
+
+    expect(cli.processString(`install --flag "a b" 'c\\'d'`)).to.deep.contain({flag: `a b`, values: [`c'd`]});
+    expect(() => cli.processString(`install --flag "a b`)).to.throw(`Unterminated double quote (line 1, column 16)`);
+
+    const stream = new PassThrough();
+    const promise = getStream(stream);
+
+    const context = {stdin: process.stdin, stdout: stream, stderr: stream};
+    expect(await cli.runString(`install --flag=x y`, context)).to.equal(0);
+    expect(await cli.runString(`install 'y`, context)).to.equal(EX_USAGE);
+
+    stream.end();
+    expect(await promise).to.equal(`Running CommandA\n"x"\n["y"]\nTokenize Error: Unterminated single quote (line 1, column 9)\n\ninstall 'y\n        ^\n`);
+  });
+
+  it(`should complete the lines in the repl`, async () => {
+    class CommandA extends Command {
+      static paths = [[`greet`]];
+      async execute() {
+        log(this);
+      }
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false});
+
+    const {exitCode, output} = await runRepl(cli, [`gre`, `\t`, `\r`], {}, {isTTY: true});
+
+    expect(exitCode).to.equal(0);
+    expect(output).to.contain(`greet\r\nRunning CommandA\n`);
+  });
+
+  it(`should not complete the invalid lines in the repl`, async () => {
+    class CommandA extends Command {
+      static paths = [[`install`]];
+      frozen = Option.Boolean(`--frozen-lockfile`, false);
+      async execute() {
+        log(this);
+      }
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false});
+
+    const {exitCode, output} = await runRepl(cli, [`install --fr`, `\t`, `\r`, `nope x`, `\t`, `\r`, `install bogus `, `\t`, `\r`, `ex`, `\t`, `\r`], {}, {isTTY: true});
+
+    // The exit code is the one of the last command
+    expect(exitCode).to.equal(EX_USAGE);
+    expect(output).to.contain(`install --fr\r\nUnknown Syntax Error: Unsupported option name ("--fr")`);
+    expect(output).to.contain(`nope x\r\nUnknown Syntax Error: Command not found`);
+    expect(output).to.contain(`install bogus \r\nUnknown Syntax Error: Extraneous positional argument ("bogus")`);
+    expect(output).to.contain(`exit\r\n`);
+    expect(output).not.to.contain(`Running CommandA`);
+  });
+
+  it(`should support enum options`, async () => {
+    class CommandA extends Command {
+      format = Option.Enum(`--format`, [`json`, `yaml`, `text`], `text`, {description: `The output format`});
+      level = Option.Enum(`-l,--level`, [`debug`, `info`]);
+
+      static paths = [[`show`]];
+      async execute() {
+        const format: `json` | `yaml` | `text` = this.format;
+        const level: `debug` | `info` | undefined = this.level;
+        log(this, [`format`, `level`]);
+        return format === `text` && level === undefined ? 0 : 1;
+      }
+    }
+
+    const cli = Cli.from([CommandA]);
+
+    expect(cli.process([`show`])).to.contain({format: `text`, level: undefined});
+    expect(cli.process([`show`, `--format=yaml`, `-l`, `info`])).to.contain({format: `yaml`, level: `info`});
+
+    expect(() => cli.process([`show`, `--format`, `jsno`])).to.throw(`Invalid value for --format: expected one of "json", "yaml", "text" (got "jsno"); did you mean "json"?`);
+    expect(() => cli.process([`show`, `--level`, `trace`])).to.throw(`Invalid value for --level: expected one of "debug", "info" (got "trace")`);
+
+    expect(cli.usage(CommandA, {detailed: true})).to.contain(`... show [-l,--level #0 (debug|info)]\n`);
+    expect(cli.usage(CommandA, {detailed: true})).to.contain(`--format #0 (json|yaml|text)`);
+
+    expect(await cli.complete([`show`, `--format`, `y`])).to.deep.equal([`yaml`]);
+    expect(await cli.complete([`show`, `--level=`])).to.deep.equal([`--level=debug`, `--level=info`]);
+  });
+
+  it(`should list the choices of enum options in the definitions`, async () => {
+    class CommandA extends Command {
+      format = Option.Enum(`--format`, [`json`, `yaml`], {description: `The output format`});
+
+      static paths = [[`show`]];
+      static usage = {};
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA]);
+
+    expect(cli.definitions()[0].options).to.deep.equal([
+      {definition: `--format #0 (json|yaml)`, description: `The output format`, required: false, env: undefined, choices: [`json`, `yaml`]},
+    ]);
+  });
+
+  it(`should support numeric options`, async () => {
+    class CommandA extends Command {
+      maxRetries = Option.Integer(`--max-retries`, 0, {min: 0, max: 10});
+      ratio = Option.Number(`--ratio`, {step: 0.1});
+      count = Option.Integer({required: false});
+
+      static paths = [[`fetch`]];
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA]);
+
+    expect(cli.process([`fetch`])).to.contain({maxRetries: 0, ratio: undefined, count: undefined});
+    expect(cli.process([`fetch`, `--max-retries`, `3`, `--ratio=-0.3`, `5`])).to.contain({maxRetries: 3, ratio: -0.3, count: 5});
+
+    expect(() => cli.process([`fetch`, `--max-retries`, `three`])).to.throw(`Invalid value for --max-retries: expected an integer (got "three")`);
+    expect(() => cli.process([`fetch`, `--max-retries`, `1.5`])).to.throw(`Invalid value for --max-retries: expected an integer (got "1.5")`);
+    expect(() => cli.process([`fetch`, `--max-retries`, `11`])).to.throw(`Invalid value for --max-retries: expected an integer lower than or equal to 10 (got "11")`);
+    expect(() => cli.process([`fetch`, `--ratio`, `0.25`])).to.throw(`Invalid value for --ratio: expected a number in increments of 0.1 from 0 (got "0.25")`);
+    expect(() => cli.process([`fetch`, `1e`])).to.throw(`Invalid value for count: expected an integer (got "1e")`);
+
+    expect(cli.usage(CommandA)).to.contain(`... fetch [--max-retries #0 (0..10)] [--ratio #0 (step 0.1)] [count]\n`);
+  });
+
+  it(`should display the range of the numeric positionals`, async () => {
+    class CommandA extends Command {
+      count = Option.Integer({min: 1});
+      ratio = Option.Number({name: `ratio`, min: 0, max: 1, required: false});
+
+      static paths = [[`fetch`]];
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA], {enableColors: false});
+
+    expect(cli.usage(CommandA)).to.contain(`... fetch <count (>=1)> [ratio (0..1)]\n`);
+    expect(cli.usage(CommandA, {detailed: true})).to.contain(`$ ... fetch <count (>=1)> [ratio (0..1)]\n`);
+
+    const themedCli = Cli.from([CommandA], {enableColors: true, theme: {positional: str => `<positional>${str}</positional>`}});
+    expect(themedCli.usage(CommandA)).to.contain(`fetch <positional><count (>=1)></positional> <positional>[ratio (0..1)]</positional>\n`);
+
+    expect(() => cli.process([`fetch`, `0`])).to.throw(`Invalid value for count: expected an integer greater than or equal to 1 (got "0")`);
+  });
+
+  it(`should read numeric options from the environment`, async () => {
+    class CommandA extends Command {
+      port = Option.Integer(`--port`, {env: `PORT`, min: 1});
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA]);
+
+    expect(cli.process([], {env: {PORT: `8080`}})).to.contain({port: 8080});
+    expect(() => cli.process([], {env: {PORT: `0`}})).to.throw(`Invalid value for PORT: expected an integer greater than or equal to 1 (got "0")`);
+  });
+
+  it(`should read the options from the environment when absent from the command line`, async () => {
+    class CommandA extends Command {
+      output = Option.String(`--output`, {env: `OUTPUT`});
+      verbose = Option.Boolean(`--verbose`, false, {env: `VERBOSE`});
+      level = Option.Counter(`-l,--level`, 0, {env: `LEVEL`});
+      tags = Option.Array(`--tag`, {env: `TAGS`});
+      point = Option.String(`--point`, {arity: 2, env: `POINT`});
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA]);
+    const env = {OUTPUT: `dist`, VERBOSE: `yes`, LEVEL: `3`, TAGS: `foo bar`, POINT: `1 2`};
+
+    expect(cli.process([], {env})).to.deep.contain({output: `dist`, verbose: true, level: 3, tags: [`foo`, `bar`], point: [`1`, `2`]});
+    expect(cli.process([`--output`, `build`, `--no-verbose`, `-l`, `--tag`, `baz`], {env})).to.deep.contain({output: `build`, verbose: false, level: 1, tags: [`baz`]});
+
+    expect(cli.process([], {env: {VERBOSE: `0`, LEVEL: `1`}})).to.deep.contain({verbose: false, level: 1});
+    expect(cli.process([], {env: {OUTPUT: ``}})).to.deep.contain({output: undefined});
+
+    expect(() => cli.process([], {env: {VERBOSE: `maybe`}})).to.throw(`Invalid value for VERBOSE: expected a boolean (got "maybe")`);
+    expect(() => cli.process([], {env: {POINT: `1 2 3`}})).to.throw(`Invalid value for POINT: expected 2 arguments (got 3)`);
+  });
+
+  it(`should accept required options set through the environment`, async () => {
+    class CommandA extends Command {
+      token = Option.String(`--token`, {required: true, env: `TOKEN`});
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA]);
+
+    expect(cli.process([], {env: {TOKEN: `secret`}})).to.deep.contain({token: `secret`});
+    expect(cli.process([`--token`, `foo`], {env: {TOKEN: `secret`}})).to.deep.contain({token: `foo`});
+
+    expect(() => cli.process([], {env: {}})).to.throw(`Command not found`);
+    expect(() => cli.process([], {env: {TOKEN: ``}})).to.throw(`Command not found`);
+  });
+
+  it(`should derive the environment variables from the Cli prefix`, async () => {
+    class CommandA extends Command {
+      dryRun = Option.Boolean(`-d,--dry-run`, false);
+      output = Option.String(`-o`, {required: false});
+      cwd = Option.String(`--cwd`, {env: `CUSTOM_CWD`});
+      secret = Option.String(`--secret`, {env: false});
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA], {envPrefix: `MY_CLI_`});
+    const env = {MY_CLI_DRY_RUN: `true`, MY_CLI_O: `dist`, MY_CLI_CWD: `/foo`, CUSTOM_CWD: `/bar`, MY_CLI_SECRET: `hunter2`};
+
+    expect(cli.process([], {env})).to.deep.contain({dryRun: true, output: undefined, cwd: `/bar`, secret: undefined});
+  });
+
+  it(`should apply the validators to the values read from the environment`, async () => {
+    class CommandA extends Command {
+      port = Option.String(`--port`, {env: `PORT`, validator: t.isNumber()});
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA]);
+
+    expect(cli.process([], {env: {PORT: `8080`}})).to.deep.contain({port: 8080});
+    expect(() => cli.process([], {env: {PORT: `foo`}})).to.throw(`Invalid value for PORT: expected a number (got "foo")`);
+  });
+
+  it(`should run commands with the environment from the context`, async () => {
+    class CommandA extends Command {
+      output = Option.String(`--output`, {env: `OUTPUT`});
+      async execute() {
+        log(this, [`output`]);
+      }
+    }
+
+    const cli = Cli.from([CommandA]);
+
+    const stream = new PassThrough();
+    const promise = getStream(stream);
+
+    await cli.run([], {stdin: process.stdin, stdout: stream, stderr: stream, env: {OUTPUT: `dist`}});
+    stream.end();
+
+    expect(await promise).to.equal(`Running CommandA\n"dist"\n`);
+  });
+
+  it(`should print the environment variables of the options in the usage and definitions`, async () => {
+    class CommandA extends Command {
+      verbose = Option.Boolean(`--verbose`, {description: `Log output`});
+      output = Option.String(`--output`, {env: `OUTPUT`});
+
+      static paths = [[`greet`]];
+      static usage = Command.Usage({description: `Greet the world`});
+
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA], {envPrefix: `MY_CLI_`});
+
+    expect(cli.usage(CommandA, {colored: false, detailed: true})).to.contain(`  --verbose      Log output [env: MY_CLI_VERBOSE]\n  --output #0    [env: OUTPUT]\n`);
+    expect(cli.definitions()[0].options).to.deep.equal([
+      {definition: `--verbose`, description: `Log output`, required: false, env: `MY_CLI_VERBOSE`},
+      {definition: `--output #0`, description: undefined, required: false, env: `OUTPUT`},
+    ]);
+  });
+
+  it(`should accept abbreviations when enabled on the cli`, async () => {
+    class InstallCommand extends Command {
+      frozenLockfile = Option.Boolean(`--frozen-lockfile`, false);
+
+      static paths = [[`install`]];
+      async execute() {
+        log(this, [`frozenLockfile`]);
+      }
+    }
+
+    expect(await runCli(Cli.from([InstallCommand], {enableAbbreviations: true}), [`inst`, `--frozen`])).to.equal(`Running InstallCommand\ntrue\n`);
+    await expect(runCli(Cli.from([InstallCommand]), [`inst`, `--frozen`])).to.be.rejectedWith(`Command not found`);
+  });
+
+  it(`should report the broken option constraints as usage errors`, async () => {
+    class CommandA extends Command {
+      json = Option.Boolean(`--json`);
+      yaml = Option.Boolean(`--yaml`);
+      key = Option.String(`--key`);
+      cert = Option.String(`--cert`);
+
+      static paths = [[`export`]];
+      static constraints = [
+        Command.AtMostOne(`--json`, `--yaml`),
+        Command.Implies(`--key`, `--cert`),
+      ];
+
+      async execute() {
+        log(this, [`json`, `key`]);
+      }
+    }
+
+    const cli = Cli.from([CommandA], {binaryName: `my-cli`});
+
+    expect(cli.usage(CommandA, {colored: false})).to.equal(`$ my-cli export [--json | --yaml] [--key #0] [--cert #0]\n`);
+    expect(await runCli(cli, [`export`, `--json`, `--key`, `foo`, `--cert`, `bar`])).to.equal(`Running CommandA\ntrue\n"foo"\n`);
+
+    expect(() => cli.process([`export`, `--json`, `--yaml`])).to.throw(`Options --json and --yaml are mutually exclusive`);
+    await expect(runCli(cli, [`export`, `--key`, `foo`])).to.be.rejectedWith(/Usage Error.*: Option --key requires --cert to be set\n\n.*my-cli export \[--json \| --yaml\]/);
+  });
+
+  it(`should count the options set through the environment when checking the constraints`, async () => {
+    class CommandA extends Command {
+      json = Option.Boolean(`--json`, {env: `JSON`});
+      yaml = Option.Boolean(`--yaml`, {env: `YAML`});
+
+      static constraints = [
+        Command.ExactlyOne(`--json`, `--yaml`),
+      ];
+
+      async execute() {}
+    }
+
+    const cli = Cli.from([CommandA]);
+
+    expect(cli.process([], {env: {JSON: `1`}})).to.deep.contain({json: true});
+    expect(cli.process([`--yaml`], {env: {JSON: `0`}})).to.deep.contain({json: false, yaml: true});
+    expect(cli.process([`--no-json`, `--yaml`], {env: {JSON: `1`}})).to.deep.contain({json: false, yaml: true});
+
+    expect(() => cli.process([`--yaml`], {env: {JSON: `1`}})).to.throw(`Options --json and --yaml are mutually exclusive`);
+    expect(() => cli.process([], {env: {JSON: `0`}})).to.throw(`Exactly one of --json, --yaml must be set`);
+  });
+
+  describe(`config`, () => {
+    let tmpDir: string;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), `clipanion-`));
+      fs.mkdirSync(path.join(tmpDir, `foo/bar`), {recursive: true});
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, {recursive: true, force: true});
+    });
+
+    class CommandA extends Command {
+      output = Option.String(`--output`, `dist`, {env: `OUTPUT`});
+      verbose = Option.Boolean(`--verbose`, false);
+      level = Option.Counter(`-l,--level`, 0);
+      tags = Option.Array(`--tag`);
+      point = Option.String(`--point`, {arity: 2});
+      async execute() {}
+    }
+
+    it(`should fill the options from the configuration found in the parent directories`, async () => {
+      fs.writeFileSync(path.join(tmpDir, `.mytoolrc.json`), JSON.stringify({output: `build`, verbose: true, level: 2, tag: [`foo`, `bar`], point: [1, 2]}));
+
+      const cli = Cli.from([CommandA], {config: Config.search({files: [`.mytoolrc.json`]})});
+      const cwd = path.join(tmpDir, `foo/bar`);
+
+      expect(cli.process([], {cwd, env: {}})).to.deep.contain({output: `build`, verbose: true, level: 2, tags: [`foo`, `bar`], point: [`1`, `2`]});
+    });
+
+    it(`should give precedence to the command line, then the environment, then the configuration`, async () => {
+      fs.writeFileSync(path.join(tmpDir, `.mytoolrc.json`), JSON.stringify({output: `build`}));
+
+      const cli = Cli.from([CommandA], {config: Config.search({files: [`.mytoolrc.json`]})});
+      const configPath = path.join(tmpDir, `.mytoolrc.json`);
+
+      const fromConfig = cli.process([], {cwd: tmpDir, env: {}});
+      expect(fromConfig).to.deep.contain({output: `build`});
+      expect(fromConfig.getOptionSource(`output`)).to.deep.equal({type: `config`, name: `output`, path: configPath});
+      expect(fromConfig.getOptionSource(`verbose`)).to.deep.equal({type: `default`});
+
+      const fromEnv = cli.process([], {cwd: tmpDir, env: {OUTPUT: `out`}});
+      expect(fromEnv).to.deep.contain({output: `out`});
+      expect(fromEnv.getOptionSource(`output`)).to.deep.equal({type: `env`, name: `OUTPUT`});
+
+      const fromArgv = cli.process([`--output`, `lib`], {cwd: tmpDir, env: {OUTPUT: `out`}});
+      expect(fromArgv).to.deep.contain({output: `lib`});
+      expect(fromArgv.getOptionSource(`output`)).to.deep.equal({type: `argv`, name: `--output`});
+
+      const fromDefault = cli.process([], {cwd: os.tmpdir(), env: {}});
+      expect(fromDefault).to.deep.contain({output: `dist`});
+      expect(fromDefault.getOptionSource(`output`)).to.deep.equal({type: `default`});
+    });
+
+    it(`should read the configuration from the package.json key`, async () => {
+      fs.writeFileSync(path.join(tmpDir, `package.json`), JSON.stringify({name: `foo`, mytool: {output: `build`}}));
+      fs.writeFileSync(path.join(tmpDir, `foo/package.json`), JSON.stringify({name: `bar`}));
+
+      const cli = Cli.from([CommandA], {config: Config.search({files: [`.mytoolrc`], packageJson: `mytool`})});
+
+      expect(cli.process([], {cwd: path.join(tmpDir, `foo/bar`), env: {}})).to.deep.contain({output: `build`});
+
+      fs.writeFileSync(path.join(tmpDir, `foo/.mytoolrc`), `output = lib\nverbose = yes\ntag[] = foo\ntag[] = bar\n`);
+
+      expect(cli.process([], {cwd: path.join(tmpDir, `foo/bar`), env: {}})).to.deep.contain({output: `lib`, verbose: true, tags: [`foo`, `bar`]});
+    });
+
+    it(`should support yaml configuration files`, async () => {
+      fs.writeFileSync(path.join(tmpDir, `.mytoolrc.yml`), [
+        `# Our settings`,
+        `output: "build dir"`,
+        `verbose: true`,
+        `point: [1, 2]`,
+        `tag:`,
+        `  - foo`,
+        `  - bar`,
+      ].join(`\n`));
+
+      const cli = Cli.from([CommandA], {config: Config.search({files: [`.mytoolrc.yml`]})});
+
+      expect(cli.process([], {cwd: tmpDir, env: {}})).to.deep.contain({output: `build dir`, verbose: true, tags: [`foo`, `bar`], point: [`1`, `2`]});
+    });
+
+    it(`should only strip the yaml comments outside of the quotes`, async () => {
+      fs.writeFileSync(path.join(tmpDir, `.mytoolrc.yml`), [
+        `output: "a #1" # The output`,
+        `tag:`,
+        `  - 'b # c' # A tag`,
+        `  - it's#1 # Another tag`,
+        `  - "\\"#" # Escaped quote`,
+      ].join(`\n`));
+
+      const cli = Cli.from([CommandA], {config: Config.search({files: [`.mytoolrc.yml`]})});
+
+      expect(cli.process([], {cwd: tmpDir, env: {}})).to.deep.contain({output: `a #1`, tags: [`b # c`, `it's#1`, `"#`]});
+    });
+
+    it(`should accept required options set through the configuration`, async () => {
+      class CommandB extends Command {
+        output = Option.String(`--output`, {required: true});
+        async execute() {}
+      }
+
+      fs.writeFileSync(path.join(tmpDir, `.mytoolrc.json`), JSON.stringify({output: `build`}));
+
+      const cli = Cli.from([CommandB], {config: Config.search({files: [`.mytoolrc.json`]})});
+
+      expect(cli.process([], {cwd: tmpDir, env: {}})).to.deep.contain({output: `build`});
+      expect(() => cli.process([], {cwd: os.tmpdir(), env: {}})).to.throw(`Command not found`);
+    });
+
+    it(`should report invalid configurations`, async () => {
+      const configPath = path.join(tmpDir, `.mytoolrc.json`);
+      const cli = Cli.from([CommandA], {config: Config.search({files: [`.mytoolrc.json`]})});
+
+      fs.writeFileSync(configPath, `{`);
+      expect(() => cli.process([], {cwd: tmpDir, env: {}})).to.throw(`Invalid configuration file ${configPath}`);
+
+      fs.writeFileSync(configPath, JSON.stringify({verbose: `maybe`}));
+      expect(() => cli.process([], {cwd: tmpDir, env: {}})).to.throw(`Invalid value for verbose (in ${configPath}): expected a boolean (got "maybe")`);
+
+      class CommandB extends Command {
+        static paths = [[`build`]];
+        output = Option.String(`--output`, {required: true});
+        async execute() {}
+      }
+
+      // Broken configurations don't prevent from printing the help
+      const requiredCli = Cli.from([CommandB, Builtins.HelpCommand], {config: Config.search({files: [`.mytoolrc.json`]})});
+
+      fs.writeFileSync(configPath, `{`);
+      expect(requiredCli.process([`-h`], {cwd: tmpDir, env: {}})).to.be.instanceOf(Builtins.HelpCommand);
+      expect(() => requiredCli.process([`build`], {cwd: tmpDir, env: {}})).to.throw(`Invalid configuration file ${configPath}`);
+    });
+
+    it(`should only read the configuration when an option needs it`, async () => {
+      const configPath = path.join(tmpDir, `.mytoolrc.json`);
+      fs.writeFileSync(configPath, `{`);
+
+      class BuildCommand extends Command {
+        static paths = [[`build`]];
+        output = Option.String(`--output`, `dist`, {env: `OUTPUT`});
+        async execute() {}
+      }
+
+      class CleanCommand extends Command {
+        static paths = [[`clean`]];
+        force = Option.Boolean(`--force`, false, {config: false});
+        async execute() {}
+      }
+
+      const cli = Cli.from([BuildCommand, CleanCommand, Builtins.HelpCommand], {binaryName: `mytool`, enableColors: false, config: Config.search({files: [`.mytoolrc.json`]})});
+
+      expect(cli.process([`build`], {cwd: tmpDir, env: {OUTPUT: `lib`}})).to.deep.contain({output: `lib`});
+      expect(cli.process([`clean`], {cwd: tmpDir, env: {}})).to.deep.contain({force: false});
+      expect(() => cli.process([`build`], {cwd: tmpDir, env: {}})).to.throw(`Invalid configuration file ${configPath}`);
+
+      expect(await runCli(cli, [`build`, `-h`], {cwd: tmpDir, env: {}})).to.contain(`$ mytool build`);
+      expect(await runCli(cli, [`clean`, `--help`], {cwd: tmpDir, env: {}})).to.contain(`$ mytool clean`);
+    });
+
+    it(`should print the general help and the typo suggestions even if the configuration is broken`, async () => {
+      class InstallCommand extends Command {
+        static paths = [[`install`]];
+        async execute() {}
+      }
+
+      const cli = Cli.from([InstallCommand, Builtins.HelpCommand], {binaryName: `mytool`, enableColors: false, config: Config.search({files: [`.mytoolrc.json`]})});
+      cli.alias(`ci`, [`install`]);
+
+      fs.writeFileSync(path.join(tmpDir, `.mytoolrc.json`), `{`);
+
+      for (const args of [[], [`-h`]]) {
+        const output = await runCli(cli, args, {cwd: tmpDir, env: {}});
+        expect(output).to.contain(`$ mytool <command>`);
+        expect(output).to.contain(`Aliases\n\n  mytool ci\n`);
+      }
+
+      await expect(runCli(cli, [`instal`], {cwd: tmpDir, env: {}})).to.be.rejectedWith(`Command not found; did you mean "install"?`);
+      expect(cli.usage(null, {colored: false, cwd: tmpDir})).to.contain(`Aliases\n\n  mytool ci\n`);
+    });
+
+    it(`should list the aliases from the configuration of the context directory in the errors`, () => {
+      class InstallCommand extends Command {
+        static paths = [[`install`]];
+        async execute() {}
+      }
+
+      fs.writeFileSync(path.join(tmpDir, `.mytoolrc.json`), JSON.stringify({aliases: {ci: `install`}}));
+
+      const cli = Cli.from([InstallCommand], {binaryName: `mytool`, enableColors: false, config: Config.search({files: [`.mytoolrc.json`]})});
+
+      expect(cli.error(new UsageError(`Something went wrong`), {cwd: tmpDir})).to.contain(`Aliases\n\n  mytool ci\n`);
+      expect(cli.error(new UsageError(`Something went wrong`), {cwd: os.tmpdir()})).not.to.contain(`Aliases`);
+    });
+
+    it(`should read the aliases from the configuration`, () => {
+      class InstallCommand extends Command {
+        static paths = [[`install`]];
+        frozen = Option.Boolean(`--frozen-lockfile`, false);
+        async execute() {}
+      }
+
+      fs.writeFileSync(path.join(tmpDir, `.mytoolrc.json`), JSON.stringify({aliases: {ci: `install --frozen-lockfile`, install: `install --frozen-lockfile`, i: [`install`]}}));
+
+      const cli = Cli.from([InstallCommand], {config: Config.search({files: [`.mytoolrc.json`]})});
+
+      expect(cli.process([`ci`], {cwd: tmpDir})).to.deep.contain({frozen: true});
+      expect(cli.process([`i`], {cwd: tmpDir})).to.deep.contain({frozen: false});
+
+      // The aliases shadowing a command are ignored
+      expect(cli.process([`install`], {cwd: tmpDir})).to.deep.contain({frozen: false});
+
+      // The aliases are only read when the first argument could be one
+      fs.writeFileSync(path.join(tmpDir, `.mytoolrc.json`), JSON.stringify({aliases: {ci: 42}}));
+      expect(() => cli.process([`ci`], {cwd: tmpDir})).to.throw(`Expected the "ci" alias to be a string or a list of strings`);
+      expect(cli.process([`install`], {cwd: tmpDir})).to.deep.contain({frozen: false});
+      expect(cli.process([`install`, `--help`], {cwd: tmpDir})).to.deep.contain({path: [`install`]});
+    });
+
+    it(`should suggest and complete the aliases from the configuration of the context directory`, async () => {
+      class InstallCommand extends Command {
+        static paths = [[`install`]];
+        static usage = {description: `Install the dependencies`};
+        frozen = Option.Boolean(`--frozen-lockfile`, false);
+        async execute() {}
+      }
+
+      fs.writeFileSync(path.join(tmpDir, `.mytoolrc.json`), JSON.stringify({aliases: {ci: `install --frozen-lockfile`}}));
+
+      const cli = Cli.from([InstallCommand], {binaryName: `yarn`, config: Config.search({files: [`.mytoolrc.json`]})});
+
+      expect(cli.suggest([`c`], true, {cwd: tmpDir})).to.deep.equal([[`i`]]);
+      expect(() => cli.suggest([`c`], true, {cwd: os.tmpdir()})).to.throw(`Command not found`);
+
+      expect(cli.usage(null, {colored: false, cwd: tmpDir})).to.contain(`Aliases\n\n  yarn ci\n`);
+      expect(cli.usage(null, {colored: false, cwd: os.tmpdir()})).to.not.contain(`Aliases`);
+
+      expect(await cli.complete([``], {cwd: tmpDir})).to.deep.equal([`ci`, `install`]);
+      expect(await cli.complete([`ci`, `--fr`], {cwd: tmpDir})).to.deep.equal([`--frozen-lockfile`]);
+      expect(await cli.complete([`c`], {cwd: os.tmpdir()})).to.deep.equal([]);
+    });
+  });
+
+  describe(`response files`, () => {
+    let tmpDir: string;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), `clipanion-`));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, {recursive: true, force: true});
+    });
+
+    class CommandA extends Command {
+      static paths = [[`build`]];
+      flag = Option.String(`--flag`);
+      values = Option.Rest();
+
+      async execute() {}
+    }
+
+    it(`should expand the response files`, () => {
+      fs.writeFileSync(path.join(tmpDir, `args.txt`), `# Generated file\n--flag "a b"\n@nested.txt\n`);
+      fs.writeFileSync(path.join(tmpDir, `nested.txt`), `'c d' e\n`);
+
+      const cli = Cli.from([CommandA], {enableResponseFiles: true});
+
+      expect(cli.process([`build`, `@args.txt`, `f`], {cwd: tmpDir})).to.deep.contain({flag: `a b`, values: [`c d`, `e`, `f`]});
+
+      // Missing files and arguments after -- are kept as-is
+      expect(cli.process([`build`, `@missing`, `--`, `@args.txt`], {cwd: tmpDir})).to.deep.contain({values: [`@missing`, `@args.txt`]});
+
+      // The feature is opt-in
+      expect(Cli.from([CommandA]).process([`build`, `@args.txt`], {cwd: tmpDir})).to.deep.contain({values: [`@args.txt`]});
+    });
+
+    it(`should join the continuation lines of the response files`, () => {
+      fs.writeFileSync(path.join(tmpDir, `args.txt`), `--flag \\\n  "a b" \\\n  c\\\nd \\\ne\n`);
+
+      const cli = Cli.from([CommandA], {enableResponseFiles: true});
+
+      expect(cli.process([`build`, `@args.txt`], {cwd: tmpDir})).to.deep.contain({flag: `a b`, values: [`cd`, `e`]});
+    });
+
+    it(`should report the errors of the response files`, () => {
+      fs.writeFileSync(path.join(tmpDir, `a.txt`), `@b.txt`);
+      fs.writeFileSync(path.join(tmpDir, `b.txt`), `@a.txt`);
+      fs.writeFileSync(path.join(tmpDir, `quote.txt`), `--flag "a b`);
+      fs.writeFileSync(path.join(tmpDir, `typo.txt`), `biuld --flag x`);
+
+      const cli = Cli.from([CommandA], {enableResponseFiles: true});
+
+      expect(() => cli.process([`build`, `@a.txt`], {cwd: tmpDir})).to.throw(`Invalid response file ${path.join(tmpDir, `a.txt`)}: Circular reference (${path.join(tmpDir, `a.txt`)} → ${path.join(tmpDir, `b.txt`)} → ${path.join(tmpDir, `a.txt`)})`);
+      expect(() => cli.process([`build`, `@quote.txt`], {cwd: tmpDir})).to.throw(`Invalid response file ${path.join(tmpDir, `quote.txt`)}: Unterminated double quote (line 1, column 8)`);
+
+      // The syntax errors mention the arguments as they were typed
+      expect(() => cli.process([`@typo.txt`], {cwd: tmpDir})).to.throw(`Command not found; did you mean "build"?\n\nWhile running @typo.txt`);
+    });
+  });
+
+  it(`should expand the aliases`, async () => {
+    class InstallCommand extends Command {
+      static paths = [[`install`]];
+      static usage = {description: `Install the dependencies`};
+
+      frozen = Option.Boolean(`--frozen-lockfile`, false);
+      immutable = Option.Boolean(`--immutable`, false);
+      verbose = Option.Boolean(`--verbose`, false);
+
+      async execute() {}
+    }
+
+    const cli = Cli.from([InstallCommand], {binaryName: `yarn`, enableColors: false});
+    cli.alias(`ci`, `install --frozen-lockfile --immutable`);
+    cli.alias(`loop`, [`loop`]);
+
+    expect(cli.process([`ci`, `--verbose`])).to.deep.contain({frozen: true, immutable: true, verbose: true});
+    expect(() => cli.process([`loop`])).to.throw(`Command not found`);
+    expect(() => cli.process([`ci`, `--unknown`])).to.throw(`Unsupported option name ("--unknown")`);
+
+    expect(cli.usage(null, {colored: false})).to.contain(`Aliases\n\n  yarn ci\n    Alias for \`yarn install --frozen-lockfile --immutable\`\n\n  yarn loop\n    Alias for \`yarn loop\`\n`);
+
+    expect(cli.suggest([`c`], true)).to.deep.equal([[`i`]]);
+    expect(cli.suggest([], false)).to.deep.equal([[`ci`], [`install`], [`loop`]]);
+    expect(cli.suggest([`ci`, `--verbose`], false)).to.deep.equal([[`--frozen-lockfile`], [`--immutable`], [`--verbose`]]);
+
+    expect(() => cli.alias(`install`, [`add`])).to.throw(`The "install" alias would shadow a registered command`);
+    expect(() => cli.alias(`--ci`, [`install`])).to.throw(`Invalid alias name ("--ci")`);
+    expect(() => cli.register(class CiCommand extends Command {
+      static paths = [[`ci`]];
+      async execute() {}
+    })).to.throw(`The "ci" alias would shadow the CiCommand command`);
+  });
+
   it(`should support tuples`, async () => {
     class PointCommand extends Command {
       point = Option.String(`--point`, {arity: 3});
@@ -1,7 +1,9 @@
-import {expect}                                   from 'chai';
+import {expect}                                                                                             from 'chai';
 
-import {HELP_COMMAND_INDEX}                       from '../sources/constants';
-import {CliBuilderCallback, CliBuilder, NoLimits} from '../sources/core';
+import {HELP_COMMAND_INDEX}                                                                                 from '../sources/constants';
+import {CliBuilderCallback, CliBuilder, NoLimits, getConstraintViolation, getEditDistance, rankSuggestions} from '../sources/core';
+import {TokenizeError, UnknownSyntaxError}                                                                  from '../sources/errors';
+import {tokenize}                                                                                           from '../sources/tokenize';
 
 const makeCli = (definitions: Array<CliBuilderCallback<{}>>) => {
   return CliBuilder.build<{}>(definitions.map(cb => {
@@ -345,6 +347,71 @@ describe(`Core`, () => {
     ]);
   });
 
+  it(`should extract attached values from short options`, () => {
+    const cli = makeCli([
+      b => {
+        b.addOption({names: [`-n`], arity: 1});
+        b.addOption({names: [`-o`], arity: 1});
+      },
+    ]);
+
+    const {options} = cli.process([`-n5`, `-ofile.txt`]);
+    expect(options).to.deep.equal([
+      {name: `-n`, value: `5`},
+      {name: `-o`, value: `file.txt`},
+    ]);
+  });
+
+  it(`should extract attached values from the end of batch options`, () => {
+    const cli = makeCli([
+      b => {
+        b.addOption({names: [`-v`]});
+        b.addOption({names: [`-x`]});
+        b.addOption({names: [`-n`], arity: 1});
+      },
+    ]);
+
+    expect(cli.process([`-vxn5`]).options).to.deep.equal([
+      {name: `-v`, value: true},
+      {name: `-x`, value: true},
+      {name: `-n`, value: `5`},
+    ]);
+
+    expect(cli.process([`-vn=5`]).options).to.deep.equal([
+      {name: `-v`, value: true},
+      {name: `-n`, value: `5`},
+    ]);
+
+    expect(cli.process([`-vn`, `5`]).options).to.deep.equal([
+      {name: `-v`, value: true},
+      {name: `-n`, value: `5`},
+    ]);
+  });
+
+  it(`should let the first short option taking a value consume the rest of the batch`, () => {
+    const cli = makeCli([
+      b => {
+        b.addOption({names: [`-v`]});
+        b.addOption({names: [`-n`], arity: 1});
+      },
+    ]);
+
+    expect(cli.process([`-nv`]).options).to.deep.equal([
+      {name: `-n`, value: `v`},
+    ]);
+  });
+
+  it(`shouldn't accept short options taking a value as booleans in batches`, () => {
+    const cli = makeCli([
+      b => {
+        b.addOption({names: [`-v`]});
+        b.addOption({names: [`-n`], arity: 1});
+      },
+    ]);
+
+    expect(() => cli.process([`-vn`])).to.throw(`Not enough arguments to option -n.`);
+  });
+
   it(`should invert booleans when using --no-`, () => {
     const cli = makeCli([
       b => {
@@ -710,6 +777,55 @@ describe(`Core`, () => {
     }).to.throw(`Unsupported option name ("--foo")`);
   });
 
+  it(`should compute the edit distance between two strings`, () => {
+    expect(getEditDistance(`install`, `install`)).to.equal(0);
+    expect(getEditDistance(`instal`, `install`)).to.equal(1);
+    expect(getEditDistance(`isntall`, `install`)).to.equal(1);
+    expect(getEditDistance(`remove`, `install`)).to.equal(7);
+    expect(getEditDistance(``, `foo`)).to.equal(3);
+  });
+
+  it(`should rank the suggestions by distance`, () => {
+    expect(rankSuggestions(`instal`, [`info`, `install`, `uninstall`])).to.deep.equal([`install`]);
+    expect(rankSuggestions(`--fo`, [`--bar`, `--foo`, `--fox`])).to.deep.equal([`--foo`, `--fox`]);
+    expect(rankSuggestions(`xyz`, [`install`, `info`])).to.deep.equal([]);
+  });
+
+  it(`should suggest the closest paths and options on syntax errors`, () => {
+    const cli = makeCli([
+      b => {
+        b.addPath([`install`]);
+        b.addOption({names: [`--frozen-lockfile`]});
+        b.addOption({names: [`--secret`], hidden: true});
+      },
+      b => {
+        b.addPath([`info`]);
+      },
+    ]);
+
+    const getError = (input: Array<string>) => {
+      try {
+        cli.process(input);
+      } catch (error) {
+        return error;
+      }
+
+      throw new Error(`Expected the input to be rejected`);
+    };
+
+    const pathError = getError([`instal`]);
+    expect(pathError).to.be.instanceOf(UnknownSyntaxError);
+    expect(pathError.suggestions).to.deep.equal([`install`]);
+    expect(pathError.message).to.match(/^Command not found; did you mean "install"\?/);
+
+    const optionError = getError([`install`, `--frozen-lockfil`]);
+    expect(optionError.suggestions).to.deep.equal([`--frozen-lockfile`]);
+    expect(optionError.message).to.match(/^Unsupported option name \("--frozen-lockfil"\); did you mean "--frozen-lockfile"\?/);
+
+    expect(getError([`install`, `--no-frozen-lockfil`]).suggestions).to.deep.equal([`--no-frozen-lockfile`]);
+    expect(getError([`install`, `--secre`]).suggestions).to.deep.equal([]);
+  });
+
   it(`should throw acceptable errors when passing extraneous arguments`, () => {
     const cli = makeCli([
       b => {
@@ -953,4 +1069,169 @@ describe(`Core`, () => {
     const suggestions = cli.suggest([`foo`], false);
     expect([...suggestions]).to.deep.equal([[`--hello`]]);
   });
+
+  it(`should select the commands whose option constraints are satisfied`, () => {
+    const cli = makeCli([
+      b => {
+        b.addOption({names: [`--json`]});
+        b.addOption({names: [`--yaml`]});
+        b.addConstraint({type: `atMostOne`, options: [`--json`, `--yaml`]});
+      },
+      b => {
+        b.addOption({names: [`--json`]});
+        b.addOption({names: [`--yaml`]});
+      },
+    ]);
+
+    expect(cli.process([`--json`, `--yaml`])).to.contain({selectedIndex: 1});
+    expect(() => cli.process([`--json`])).to.throw(`Cannot find which to pick amongst the following alternatives`);
+  });
+
+  it(`should report the broken option constraints`, () => {
+    const cli = makeCli([
+      b => {
+        b.addOption({names: [`-j`, `--json`]});
+        b.addOption({names: [`--yaml`]});
+        b.addOption({names: [`--key`], arity: 1});
+        b.addOption({names: [`--cert`], arity: 1});
+        b.addOption({names: [`--output`], arity: 1});
+        b.addOption({names: [`--stdout`]});
+        b.addConstraint({type: `exactlyOne`, options: [`--json`, `--yaml`]});
+        b.addConstraint({type: `implies`, options: [`--key`, `--cert`]});
+        b.addConstraint({type: `conflicts`, options: [`--output`, `--stdout`]});
+      },
+    ]);
+
+    expect(getConstraintViolation(cli.process([`--json`]))).to.equal(null);
+    expect(getConstraintViolation(cli.process([`--key`, `foo`, `--cert`, `bar`, `--yaml`]))).to.equal(null);
+
+    expect(getConstraintViolation(cli.process([]))).to.equal(`Exactly one of --json, --yaml must be set`);
+    expect(getConstraintViolation(cli.process([`--json`, `--no-json`]))).to.equal(`Exactly one of --json, --yaml must be set`);
+    expect(getConstraintViolation(cli.process([`-j`, `--yaml`]))).to.equal(`Options -j and --yaml are mutually exclusive`);
+    expect(getConstraintViolation(cli.process([`--yaml`, `--key`, `foo`]))).to.equal(`Option --key requires --cert to be set`);
+    expect(getConstraintViolation(cli.process([`--yaml`, `--stdout`, `--output`, `foo`]))).to.equal(`Option --output cannot be used with --stdout`);
+  });
+
+  it(`should display the option constraints in the usage`, () => {
+    const b = new CliBuilder().command();
+
+    b.addOption({names: [`--json`]});
+    b.addOption({names: [`--verbose`]});
+    b.addOption({names: [`--yaml`]});
+    b.addOption({names: [`--output`], arity: 1});
+    b.addOption({names: [`--stdout`]});
+    b.addOption({names: [`--quiet`]});
+    b.addOption({names: [`--key`], arity: 1});
+    b.addOption({names: [`--cert`], arity: 1});
+    b.addConstraint({type: `exactlyOne`, options: [`--json`, `--yaml`]});
+    b.addConstraint({type: `atMostOne`, options: [`--output`, `--stdout`]});
+    b.addConstraint({type: `conflicts`, options: [`--quiet`, `--verbose`]});
+    b.addConstraint({type: `implies`, options: [`--key`, `--cert`]});
+
+    // The conflicts and implications only concern their first option, so they aren't displayed as groups
+    expect(b.usage().usage).to.equal(`... (--json | --yaml) [--verbose] [--output #0 | --stdout] [--quiet] [--key #0] [--cert #0]`);
+  });
+
+  it(`should expand the unambiguous abbreviations when enabled`, () => {
+    const cli = CliBuilder.build<{}>([
+      b => {
+        b.setContext({});
+        b.addPath([`install`]);
+        b.addOption({names: [`--frozen-lockfile`]});
+        b.addOption({names: [`--force`]});
+        b.addOption({names: [`--name`], arity: 1});
+      },
+      b => {
+        b.setContext({});
+        b.addPath([`info`]);
+      },
+    ], {enableAbbreviations: true});
+
+    expect(cli.process([`inst`, `--froz`, `--no-forc`, `--na=foo`])).to.deep.contain({
+      path: [`install`],
+      options: [{name: `--frozen-lockfile`, value: true}, {name: `--force`, value: false}, {name: `--name`, value: `foo`}],
+    });
+
+    expect(cli.process([`inf`])).to.deep.contain({path: [`info`], selectedIndex: 1});
+
+    expect(() => cli.process([`in`])).to.throw(`Cannot find which to pick amongst the following alternatives:\n\n  0. info\n  1. install\n`);
+    expect(() => cli.process([`install`, `--f`])).to.throw(`Cannot find which to pick amongst the following alternatives:\n\n  0. --force\n  1. --frozen-lockfile\n`);
+  });
+
+  it(`should only accept abbreviations when enabled`, () => {
+    const cli = makeCli([
+      b => {
+        b.addPath([`install`]);
+        b.addOption({names: [`--frozen-lockfile`]});
+      },
+    ]);
+
+    expect(() => cli.process([`inst`])).to.throw(`Command not found`);
+    expect(() => cli.process([`install`, `--froz`])).to.throw(`Unsupported option name ("--froz")`);
+  });
+
+  it(`should complete the current word`, async () => {
+    const cli = makeCli([
+      b => {
+        b.addPath([`foo`]);
+        b.addOption({names: [`-h`, `--hello`]});
+      },
+      b => {
+        b.addPath([`bar`]);
+      },
+    ]);
+
+    expect(await cli.complete([], ``)).to.deep.equal([`bar`, `foo`]);
+    expect(await cli.complete([], `f`)).to.deep.equal([`foo`]);
+    expect(await cli.complete([`foo`], ``)).to.deep.equal([]);
+    expect(await cli.complete([`foo`], `-`)).to.deep.equal([`--hello`]);
+    expect(await cli.complete([`baz`], ``)).to.deep.equal([]);
+  });
+
+  it(`should complete values through the completion providers`, async () => {
+    const cli = makeCli([
+      b => {
+        b.addPath([`foo`]);
+        b.addOption({names: [`--branch`], arity: 1, complete: () => [`main`, `master`, `next`]});
+        b.addPositional({complete: (partial, {state}) => [`${state.options.length}`]});
+      },
+    ]);
+
+    expect(await cli.complete([`foo`], ``)).to.deep.equal([`0`]);
+    expect(await cli.complete([`foo`, `--branch`], `ma`)).to.deep.equal([`main`, `master`]);
+    expect(await cli.complete([`foo`], `--branch=ne`)).to.deep.equal([`--branch=next`]);
+    expect(await cli.complete([`foo`, `--branch`, `main`], ``)).to.deep.equal([`1`]);
+  });
+
+  it(`should split command lines like a shell`, () => {
+    expect(tokenize(`install --flag "a b" 'c\\'d'`)).to.deep.equal([`install`, `--flag`, `a b`, `c'd`]);
+    expect(tokenize(`  foo   bar\tbaz\n`)).to.deep.equal([`foo`, `bar`, `baz`]);
+    expect(tokenize(`foo "" ''`)).to.deep.equal([`foo`, ``, ``]);
+    expect(tokenize(`--name="John Doe"`)).to.deep.equal([`--name=John Doe`]);
+    expect(tokenize(`a\\ b "c\\"d" "e\\nf" 'g\\h'`)).to.deep.equal([`a b`, `c"d`, `e\\nf`, `g\\h`]);
+    expect(tokenize(`foo \\\nbar`)).to.deep.equal([`foo`, `bar`]);
+    expect(tokenize(`foo # comment\nbar#baz`)).to.deep.equal([`foo`, `bar#baz`]);
+  });
+
+  it(`should join the continuation lines`, () => {
+    expect(tokenize(`--flag \\\nvalue`)).to.deep.equal([`--flag`, `value`]);
+    expect(tokenize(`--flag \\\n  value`)).to.deep.equal([`--flag`, `value`]);
+    expect(tokenize(`--flag\\\n  value`)).to.deep.equal([`--flag`, `value`]);
+    expect(tokenize(`--fl\\\nag value \\\n`)).to.deep.equal([`--flag`, `value`]);
+    expect(tokenize(`install \\\n  --flag \\\n  "a b"`)).to.deep.equal([`install`, `--flag`, `a b`]);
+  });
+
+  it(`should report the position of the malformed quotes`, () => {
+    expect(() => tokenize(`install "foo`)).to.throw(TokenizeError, `Unterminated double quote (line 1, column 9)\n\ninstall "foo\n        ^`);
+
+    let error: TokenizeError | undefined;
+    try {
+      tokenize(`foo\nbar 'baz\nqux`);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).to.include({index: 8, line: 2, column: 5});
+    expect(error!.message).to.equal(`Unterminated single quote (line 2, column 5)\n\nbar 'baz\n    ^`);
+  });
 });
@@ -56,6 +56,24 @@ class MyCommand extends Command {
   // @ts-expect-error: Overload prevents this
   counterWithRequiredAndDefault = Option.Counter(`--foo`, 0, {required: true});
 
+  enum = Option.Enum(`--foo`, [`bar`, `baz`]);
+  enumWithDefault = Option.Enum(`--foo`, [`bar`, `baz`], `bar`);
+  enumWithRequired = Option.Enum(`--foo`, [`bar`, `baz`], {required: true});
+  // @ts-expect-error: Overload prevents this
+  enumWithRequiredAndDefault = Option.Enum(`--foo`, [`bar`, `baz`], `bar`, {required: true});
+
+  number = Option.Number(`--foo`);
+  numberWithDefault = Option.Number(`--foo`, 0);
+  numberWithRequired = Option.Number(`--foo`, {required: true});
+  // @ts-expect-error: Overload prevents this
+  numberWithRequiredAndDefault = Option.Number(`--foo`, 0, {required: true});
+  // @ts-expect-error: The default must be a number
+  numberWithStringDefault = Option.Number(`--foo`, `0`);
+  integer = Option.Integer(`--foo`, {min: 0});
+  integerWithDefault = Option.Integer(`--foo`, 0, {min: 0});
+  integerPositional = Option.Integer();
+  integerOptionalPositional = Option.Integer({required: false});
+
   array = Option.Array(`--foo`);
   arrayWithDefault = Option.Array(`--foo`, []);
   arrayWithRequired = Option.Array(`--foo`, {required: true});
@@ -107,6 +125,18 @@ class MyCommand extends Command {
     assertEqual<number>()(this.counterWithDefault, true);
     assertEqual<number>()(this.counterWithRequired, true);
 
+    assertEqual<`bar` | `baz` | undefined>()(this.enum, true);
+    assertEqual<`bar` | `baz`>()(this.enumWithDefault, true);
+    assertEqual<`bar` | `baz`>()(this.enumWithRequired, true);
+
+    assertEqual<number | undefined>()(this.number, true);
+    assertEqual<number>()(this.numberWithDefault, true);
+    assertEqual<number>()(this.numberWithRequired, true);
+    assertEqual<number | undefined>()(this.integer, true);
+    assertEqual<number>()(this.integerWithDefault, true);
+    assertEqual<number>()(this.integerPositional, true);
+    assertEqual<number | undefined>()(this.integerOptionalPositional, true);
+
     assertEqual<Array<string> | undefined>()(this.array, true);
     assertEqual<Array<string>>()(this.arrayWithDefault, true);
     assertEqual<Array<string>>()(this.arrayWithRequired, true);